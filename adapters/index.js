@@ -0,0 +1,41 @@
+const salesforce = require('./salesforce');
+const rest = require('./rest');
+const local = require('./local');
+
+// Systems a company can keep its punches in. Each adapter implements:
+//   name
+//   validateConfig(input, current)                settings to store in companies.sync_adapter_config
+//   describeConfig(company)                       the settings, safe to return to an admin
+//   isConnected(company)
+//   upsertUser(company, {email, name}, {signal})  -> external user id
+//   openShift(company, punch, {signal})           -> external record id
+//   closeShift(company, punch, {signal})          -> external record id
+//   removeShift(company, punch, {signal})         for voided punches
+//   listPunches(company, {from, to})              -> [{externalId, userEmail, employeeName, clockIn, clockOut, locationType}]
+// The writes stop with the signal's reason once it is aborted, e.g. when the user lock
+// they run under is lost; a call already sent is not undone.
+// And optionally, for systems where punches can be edited directly:
+//   listChanges(company, since)                   -> [{externalId, clockIn, clockOut, locationType, deleted, modifiedAt, modifiedBy}]
+//                                                    changed at or after since, oldest first
+//   latestChange(company)                         -> {externalId, modifiedAt} of the newest change, or null
+const ADAPTERS = { salesforce, rest, local };
+const DEFAULT_ADAPTER = 'salesforce';
+
+function getAdapter(company) {
+  return ADAPTERS[company.sync_adapter || DEFAULT_ADAPTER];
+}
+
+// Write the punch as it stands now, whichever step of its life it is at
+function syncPunch(company, punch, options = {}) {
+  const adapter = getAdapter(company);
+  if (punch.voided_at) return adapter.removeShift(company, punch, options);
+  if (!punch.clock_out) return adapter.openShift(company, punch, options);
+  return adapter.closeShift(company, punch, options);
+}
+
+module.exports = {
+  ADAPTERS,
+  DEFAULT_ADAPTER,
+  getAdapter,
+  syncPunch
+};
@@ -0,0 +1,63 @@
+// In-memory system of record, so the whole punch flow can run without an external
+// system (tests, demos, local development). Contents are lost on restart.
+const records = new Map(); // company id -> { users: Map, shifts: Map }
+
+function storeFor(company) {
+  if (!records.has(company.id)) {
+    records.set(company.id, { users: new Map(), shifts: new Map() });
+  }
+  return records.get(company.id);
+}
+
+async function writeShift(company, punch) {
+  const externalId = `local-${punch.id}`;
+  storeFor(company).shifts.set(externalId, {
+    externalId,
+    userEmail: punch.user_email,
+    employeeName: punch.employee_name,
+    clockIn: new Date(punch.clock_in).toISOString(),
+    clockOut: punch.clock_out ? new Date(punch.clock_out).toISOString() : null,
+    locationType: punch.location_type
+  });
+  return externalId;
+}
+
+module.exports = {
+  name: 'local',
+
+  validateConfig() {
+    return {};
+  },
+
+  describeConfig() {
+    return {};
+  },
+
+  isConnected() {
+    return true;
+  },
+
+  async upsertUser(company, { email, name }) {
+    const externalId = `local-user-${email}`;
+    storeFor(company).users.set(externalId, { externalId, email, name });
+    return externalId;
+  },
+
+  openShift: writeShift,
+  closeShift: writeShift,
+
+  async removeShift(company, punch) {
+    storeFor(company).shifts.delete(`local-${punch.id}`);
+    return punch.salesforce_id;
+  },
+
+  async listPunches(company, { from, to } = {}) {
+    return Array.from(storeFor(company).shifts.values())
+      .filter(shift => (!from || new Date(shift.clockIn) >= from) && (!to || new Date(shift.clockIn) < to))
+      .sort((a, b) => a.clockIn.localeCompare(b.clockIn));
+  },
+
+  // Inspect or clear what has been written, e.g. between tests
+  records: company => storeFor(company),
+  reset: () => records.clear()
+};
@@ -0,0 +1,135 @@
+const axios = require('axios');
+const { encryptToken, decryptToken } = require('../tokenCrypto');
+const { correlationHeaders } = require('../logger');
+const { hostProblem, assertPublicHost, publicAgent } = require('../publicHosts');
+
+const REQUEST_TIMEOUT = 10 * 1000;
+
+function configError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function client(company, { signal } = {}) {
+  const { baseUrl, authToken } = company.sync_adapter_config || {};
+  if (!baseUrl) {
+    throw new Error('No REST endpoint configured');
+  }
+
+  // Checked on every use, not only when saved: the token goes wherever this points
+  assertPublicHost(baseUrl);
+  const token = decryptToken(authToken);
+  return axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    timeout: REQUEST_TIMEOUT,
+    httpsAgent: publicAgent,
+    maxRedirects: 0,
+    signal,
+    headers: { ...correlationHeaders(), ...(token && { Authorization: `Bearer ${token}` }) }
+  });
+}
+
+function shiftBody(punch) {
+  return {
+    id: punch.id,
+    userEmail: punch.user_email,
+    clockIn: punch.clock_in,
+    clockOut: punch.clock_out,
+    locationType: punch.location_type,
+    timezone: punch.timezone,
+    status: punch.clock_out ? 'closed' : 'open'
+  };
+}
+
+// PUT is keyed by our punch id, so a retried write lands on the same record
+async function putShift(company, punch, options) {
+  const response = await client(company, options).put(`/shifts/${punch.id}`, shiftBody(punch));
+  return String(response.data?.id ?? punch.id);
+}
+
+// A generic HR/payroll system reached over REST:
+//   PUT    {baseUrl}/users/{email}   { email, name }         -> { id }
+//   PUT    {baseUrl}/shifts/{id}     shift                   -> { id }
+//   DELETE {baseUrl}/shifts/{id}
+//   GET    {baseUrl}/shifts?from&to                          -> { shifts: [...], next }
+// Requests carry "Authorization: Bearer <authToken>" when a token is configured.
+module.exports = {
+  name: 'rest',
+
+  validateConfig(input, current = {}) {
+    const { baseUrl, authToken } = input || {};
+    let url;
+    try {
+      url = new URL(baseUrl);
+    } catch (error) {
+      throw configError('baseUrl must be an absolute URL');
+    }
+    if (url.protocol !== 'https:') {
+      throw configError('baseUrl must use https');
+    }
+    const problem = hostProblem(url);
+    if (problem) {
+      throw configError(`baseUrl ${problem}`);
+    }
+
+    return {
+      baseUrl: url.toString(),
+      // Omitting authToken keeps the stored one; null removes it
+      authToken: authToken === undefined ? current.authToken || null : encryptToken(authToken)
+    };
+  },
+
+  describeConfig(company) {
+    const config = company.sync_adapter_config || {};
+    return { baseUrl: config.baseUrl || null, hasAuthToken: Boolean(config.authToken) };
+  },
+
+  isConnected(company) {
+    return Boolean(company.sync_adapter_config?.baseUrl);
+  },
+
+  async upsertUser(company, { email, name }, options) {
+    const response = await client(company, options).put(`/users/${encodeURIComponent(email)}`, { email, name });
+    return String(response.data?.id ?? email);
+  },
+
+  openShift: putShift,
+  closeShift: putShift,
+
+  async removeShift(company, punch, options) {
+    try {
+      await client(company, options).delete(`/shifts/${punch.id}`);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+    return punch.salesforce_id;
+  },
+
+  async listPunches(company, { from, to } = {}) {
+    const http = client(company);
+    const shifts = [];
+    let response = await http.get('/shifts', {
+      params: { from: from ? from.toISOString() : undefined, to: to ? to.toISOString() : undefined }
+    });
+    shifts.push(...(response.data.shifts || []));
+    while (response.data.next) {
+      // Never send the auth token anywhere but the configured endpoint
+      const next = new URL(response.data.next, http.defaults.baseURL);
+      if (next.origin !== new URL(http.defaults.baseURL).origin) {
+        throw new Error('REST endpoint returned a next page on another host');
+      }
+      response = await http.get(next.toString());
+      shifts.push(...(response.data.shifts || []));
+    }
+
+    return shifts.map(shift => ({
+      externalId: String(shift.id),
+      userEmail: shift.userEmail,
+      employeeName: shift.employeeName,
+      clockIn: shift.clockIn,
+      clockOut: shift.clockOut,
+      locationType: shift.locationType
+    }));
+  }
+};
@@ -0,0 +1,71 @@
+const {
+  mirrorPunch,
+  upsertUserRecord,
+  fetchPunchRecords,
+  fetchChangedPunchRecords,
+  fetchLatestPunchChange
+} = require('../salesforce');
+const { connectionStatus } = require('../tokenManager');
+const { schemaProblem } = require('../salesforceSchema');
+
+// Workpunch__c / Workpunch_User__c in the company's connected Salesforce org, or the
+// objects the company mapped them to. The connection itself is set up through
+// /api/connect-salesforce.
+module.exports = {
+  name: 'salesforce',
+
+  validateConfig() {
+    return {};
+  },
+
+  describeConfig(company) {
+    return {
+      instanceUrl: company.salesforce_instance_url,
+      ...connectionStatus(company),
+      schemaProblem: schemaProblem(company)
+    };
+  },
+
+  // A connection that needs re-authorizing still counts; calls report needsReconnect
+  isConnected(company) {
+    return Boolean(company.salesforce_access_token);
+  },
+
+  upsertUser: upsertUserRecord,
+
+  // mirrorPunch creates or updates the record from the punch as it stands, so opening
+  // and closing a shift are the same write
+  openShift: mirrorPunch,
+  closeShift: mirrorPunch,
+  removeShift: mirrorPunch,
+
+  async listPunches(company, period) {
+    const records = await fetchPunchRecords(company, period);
+    return records.map(record => ({
+      externalId: record.Id,
+      userEmail: record.employeeEmail,
+      employeeName: record.employeeName,
+      clockIn: record.clockIn,
+      clockOut: record.clockOut,
+      locationType: record.locationType
+    }));
+  },
+
+  async listChanges(company, since) {
+    const records = await fetchChangedPunchRecords(company, since);
+    return records.map(record => ({
+      externalId: record.Id,
+      clockIn: record.clockIn,
+      clockOut: record.clockOut,
+      locationType: record.locationType,
+      deleted: record.deleted,
+      modifiedAt: record.modifiedAt,
+      modifiedBy: record.modifiedBy
+    }));
+  },
+
+  async latestChange(company) {
+    const record = await fetchLatestPunchChange(company);
+    return record && { externalId: record.Id, modifiedAt: record.modifiedAt };
+  }
+};
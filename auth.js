@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { companyHelpers, userHelpers } = require('./db');
+const { logger } = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['employee', 'admin'];
+const SESSION_TTL = process.env.SESSION_TTL || '12h';
+// Other tokens signed with SESSION_SECRET (e.g. the OAuth state) carry their own
+// audience, so they can't be used as a session
+const SESSION_AUDIENCE = 'workpunch-session';
+
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+  return secret;
+}
+
+// Passwords are stored as "salt:hash", both hex encoded
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Sign a session token scoped to one user in one company
+function signSession(user, company) {
+  return jwt.sign(
+    { email: user.email, role: user.role, companyId: company.public_id },
+    getSessionSecret(),
+    { subject: String(user.id), audience: SESSION_AUDIENCE, expiresIn: SESSION_TTL }
+  );
+}
+
+// Middleware that verifies the bearer token and only lets the given roles through.
+// The user is looked up on every request, so a removed or demoted user loses access
+// straight away rather than when the token expires. On success req.user holds the
+// user as they are now and req.company the company row.
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, getSessionSecret(), { audience: SESSION_AUDIENCE });
+    } catch (error) {
+      logger.info('Rejected session token:', error.message);
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    const company = await companyHelpers.getCompany(claims.companyId);
+    const user = company && Number.isInteger(Number(claims.sub))
+      ? await userHelpers.getUserById(company.id, Number(claims.sub))
+      : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    if (!roles.includes(user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    req.user = { id: user.id, email: user.email, role: user.role, companyId: company.public_id };
+    req.company = company;
+    next();
+  };
+}
+
+const requireEmployee = requireRole('employee', 'admin');
+const requireAdmin = requireRole('admin');
+
+module.exports = {
+  getSessionSecret,
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signSession,
+  requireRole,
+  requireEmployee,
+  requireAdmin
+};
@@ -1,110 +1,287 @@
 const { Pool } = require('pg');
+const { encryptToken, decryptToken } = require('./tokenCrypto');
+const { logger } = require('./logger');
 
 // Create a new pool using the connection string from environment variables
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  // Fail a checkout instead of waiting forever while the database is unreachable
+  connectionTimeoutMillis: Number(process.env.DB_CONNECTION_TIMEOUT) || 10 * 1000,
+  idleTimeoutMillis: 30 * 1000,
+  keepAlive: true
 });
 
-// Add error handling for the pool
+// An idle client lost its connection (database restart, failover, network blip). The
+// pool has already dropped it and opens a fresh one on the next checkout.
 pool.on('error', (err) => {
-  console.error('Unexpected error on idle client', err);
-  process.exit(-1);
+  logger.error('Idle database client failed, it will be replaced:', err.message);
 });
 
-// Initialize database tables
-async function initDb() {
+// Run fn with a client inside a transaction, committing if it resolves and rolling
+// back if it throws
+async function withTransaction(fn) {
+  const client = await pool.connect();
   try {
-    console.log('Starting database initialization...');
-    
-    // Check if companies table exists
-    const tableExists = await pool.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_name = 'companies'
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    client.release();
+    return result;
+  } catch (error) {
+    // A client whose connection broke can't roll back; discard it rather than
+    // returning it to the pool
+    let broken;
+    await client.query('ROLLBACK').catch(rollbackError => { broken = rollbackError; });
+    client.release(broken);
+    throw error;
+  }
+}
+
+const companyHelpers = {
+  // Issue a new company identifier. The row is created without tokens; they are
+  // filled in by /api/callback once the OAuth flow for this company completes.
+  async createCompany(publicId) {
+    try {
+      const result = await pool.query(
+        'INSERT INTO companies (public_id) VALUES ($1) RETURNING *',
+        [publicId]
       );
-    `);
-
-    if (!tableExists.rows[0].exists) {
-      console.log('Creating companies table...');
-      await pool.query(`
-        CREATE TABLE companies (
-          id SERIAL PRIMARY KEY,
-          salesforce_access_token TEXT,
-          salesforce_refresh_token TEXT,
-          salesforce_instance_url TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-      console.log('Companies table created successfully');
-    } else {
-      console.log('Companies table already exists');
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating company:', error);
+      throw error;
     }
+  },
 
-    // Verify the table structure
-    const tableInfo = await pool.query(`
-      SELECT column_name, data_type 
-      FROM information_schema.columns 
-      WHERE table_name = 'companies';
-    `);
-    console.log('Table structure:', tableInfo.rows);
+  async updateLaborRules(id, rules) {
+    try {
+      const result = await pool.query(
+        'UPDATE companies SET labor_rules = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+        [id, rules]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating labor rules:', error);
+      throw error;
+    }
+  },
 
-    console.log('Database initialization completed successfully');
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    throw error;
+  // Choose the system of record punches are written to
+  async updateSyncAdapter(id, adapter, config, client = pool) {
+    try {
+      const result = await client.query(
+        `UPDATE companies
+         SET sync_adapter = $2, sync_adapter_config = $3, updated_at = CURRENT_TIMESTAMP,
+             inbound_sync_cursor = CASE WHEN sync_adapter = $2 THEN inbound_sync_cursor END,
+             inbound_sync_cursor_ids = CASE WHEN sync_adapter = $2 THEN inbound_sync_cursor_ids ELSE '{}' END
+         WHERE id = $1 RETURNING *`,
+        [id, adapter, config]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating sync adapter:', error);
+      throw error;
+    }
+  },
+
+  // Store a field mapping and/or the result of the last schema check
+  async updateSalesforceSchema(id, { mapping, status }) {
+    try {
+      const result = await pool.query(
+        `UPDATE companies
+         SET salesforce_field_mapping = CASE WHEN $2::boolean THEN $3::jsonb ELSE salesforce_field_mapping END,
+             salesforce_schema_status = CASE WHEN $4::boolean THEN $5::jsonb ELSE salesforce_schema_status END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [id, mapping !== undefined, mapping ?? null, status !== undefined, status ?? null]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error updating Salesforce schema:', error);
+      throw error;
+    }
+  },
+
+  async getCompanyById(id) {
+    try {
+      const result = await pool.query('SELECT * FROM companies WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting company:', error);
+      throw error;
+    }
+  },
+
+  async getCompany(publicId) {
+    try {
+      const result = await pool.query('SELECT * FROM companies WHERE public_id = $1', [publicId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting company:', error);
+      throw error;
+    }
   }
-}
+};
 
+const userHelpers = {
+  async createUser(companyId, { email, name, role, passwordHash }) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO users (company_id, email, name, role, password_hash)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, company_id, email, name, role, created_at`,
+        [companyId, email.toLowerCase(), name, role, passwordHash]
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating user:', error.message);
+      throw error;
+    }
+  },
+
+  async getUserById(companyId, id) {
+    const result = await pool.query('SELECT * FROM users WHERE company_id = $1 AND id = $2', [companyId, id]);
+    return result.rows[0] || null;
+  },
+
+  async getUser(companyId, email) {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM users WHERE company_id = $1 AND email = $2',
+        [companyId, email.toLowerCase()]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting user:', error.message);
+      throw error;
+    }
+  }
+};
+
+// Salesforce tokens are encrypted at rest; rows hold ciphertext and callers go
+// through these helpers for the plaintext
 const tokenHelpers = {
-  async storeTokens(tokens) {
-    const { access_token, refresh_token, instance_url } = tokens;
+  // A fresh connection also clears any earlier "needs reconnect" state
+  async storeTokens(companyId, tokens) {
+    const { access_token, refresh_token, instance_url, login_host, expires_at } = tokens;
     try {
-      console.log('Storing tokens...');
-
-      await pool.query(
-        `INSERT INTO companies (salesforce_access_token, salesforce_refresh_token, salesforce_instance_url)
-         VALUES ($1, $2, $3)
-         ON CONFLICT (id) 
-         DO UPDATE SET 
-           salesforce_access_token = $1,
-           salesforce_refresh_token = $2,
-           salesforce_instance_url = $3,
-           updated_at = CURRENT_TIMESTAMP`,
-        [access_token, refresh_token, instance_url]
+      logger.info('Storing tokens for company:', companyId);
+
+      // Companies are created by /api/companies; connecting never creates one
+      const result = await pool.query(
+        `UPDATE companies
+         SET salesforce_access_token = $2,
+             salesforce_refresh_token = $3,
+             salesforce_instance_url = $4,
+             salesforce_token_expires_at = $5,
+             salesforce_login_host = $6,
+             salesforce_reconnect_required_at = NULL,
+             salesforce_reconnect_reason = NULL,
+             salesforce_refresh_claimed_until = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE public_id = $1`,
+        [companyId, encryptToken(access_token), encryptToken(refresh_token), instance_url, expires_at || null,
+          login_host || null]
       );
+      if (result.rowCount === 0) {
+        throw new Error(`Company not found: ${companyId}`);
+      }
 
-      // Verify the stored data
-      const result = await pool.query('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
-      console.log('Stored data verification:', result.rows[0]);
+      logger.info('Stored tokens for company:', { companyId, instanceUrl: instance_url });
     } catch (error) {
-      console.error('Error storing tokens:', error);
+      logger.error('Error storing tokens:', error.message);
       throw error;
     }
   },
 
-  async getTokens() {
+  // Replace the access token after a refresh, ending the refresh claim. Orgs that rotate
+  // refresh tokens send a new one with it, which replaces the old one.
+  async updateAccessToken(id, accessToken, expiresAt, refreshToken = null, client = pool) {
+    const result = await client.query(
+      `UPDATE companies
+       SET salesforce_access_token = $2, salesforce_token_expires_at = $3,
+           salesforce_refresh_token = COALESCE($4, salesforce_refresh_token),
+           salesforce_refresh_claimed_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, encryptToken(accessToken), expiresAt, refreshToken ? encryptToken(refreshToken) : null]
+    );
+    return result.rows[0];
+  },
+
+  // Forget a company's Salesforce connection, with the schema check and inbound sync
+  // position that belonged to that org, so connecting another org starts clean
+  async clearTokens(id) {
+    await pool.query(
+      `UPDATE companies
+       SET salesforce_access_token = NULL, salesforce_refresh_token = NULL, salesforce_instance_url = NULL,
+           salesforce_login_host = NULL, salesforce_token_expires_at = NULL,
+           salesforce_reconnect_required_at = NULL, salesforce_reconnect_reason = NULL,
+           salesforce_refresh_claimed_until = NULL, salesforce_schema_status = NULL,
+           inbound_sync_cursor = CASE WHEN sync_adapter = 'salesforce' THEN NULL ELSE inbound_sync_cursor END,
+           inbound_sync_cursor_ids = CASE WHEN sync_adapter = 'salesforce' THEN '{}' ELSE inbound_sync_cursor_ids END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id]
+    );
+  },
+
+  // The refresh token was rejected; an admin has to authorize the org again
+  async markReconnectRequired(id, reason, client = pool) {
+    await client.query(
+      `UPDATE companies
+       SET salesforce_reconnect_required_at = NOW(), salesforce_reconnect_reason = $2,
+           salesforce_refresh_claimed_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, reason]
+    );
+  },
+
+  // Mark a token refresh as under way for up to ms, unless another is already;
+  // resolves true if this caller got the claim
+  async claimRefresh(id, ms, client = pool) {
+    const result = await client.query(
+      `UPDATE companies
+       SET salesforce_refresh_claimed_until = NOW() + $2 * INTERVAL '1 millisecond'
+       WHERE id = $1 AND (salesforce_refresh_claimed_until IS NULL OR salesforce_refresh_claimed_until < NOW())`,
+      [id, ms]
+    );
+    return result.rowCount > 0;
+  },
+
+  // Give up a refresh claim after a failed attempt, so the next caller can try
+  async releaseRefreshClaim(id) {
+    await pool.query('UPDATE companies SET salesforce_refresh_claimed_until = NULL WHERE id = $1', [id]);
+  },
+
+  // Decrypted tokens of a company row
+  readTokens(company) {
+    return {
+      access_token: decryptToken(company.salesforce_access_token),
+      refresh_token: decryptToken(company.salesforce_refresh_token),
+      instance_url: company.salesforce_instance_url
+    };
+  },
+
+  async getTokens(companyId) {
     try {
-      const result = await pool.query('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
-      if (result.rows.length === 0) return null;
-      
-      const company = result.rows[0];
-      return {
-        access_token: company.salesforce_access_token,
-        refresh_token: company.salesforce_refresh_token,
-        instance_url: company.salesforce_instance_url
-      };
+      const company = await companyHelpers.getCompany(companyId);
+      if (!company) return null;
+
+      return tokenHelpers.readTokens(company);
     } catch (error) {
-      console.error('Error getting tokens:', error);
+      logger.error('Error getting tokens:', error.message);
       throw error;
     }
   }
 };
 
-// Export both the pool and the helpers
+// Export the pool and the helpers
 module.exports = {
   pool,
-  initDb,
+  withTransaction,
+  companyHelpers,
+  userHelpers,
   tokenHelpers
 };
@@ -0,0 +1,230 @@
+const { pool } = require('./db');
+
+const EARTH_RADIUS_METERS = 6371000;
+// Fixes less precise than this cannot place anyone inside a fence
+const MAX_LOCATION_ACCURACY = Number(process.env.MAX_LOCATION_ACCURACY) || 100; // meters
+
+// Outcomes recorded on a punch's location_verification
+const LOCATION_VERIFICATIONS = ['inside', 'outside', 'low_accuracy', 'no_location', 'no_geofences'];
+
+function geofenceError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const isLatitude = value => typeof value === 'number' && value >= -90 && value <= 90;
+const isLongitude = value => typeof value === 'number' && value >= -180 && value <= 180;
+
+// Validate device coordinates from a punch request. Returns null when none were sent.
+function parseLocation(input) {
+  if (input === undefined || input === null) return null;
+
+  const { latitude, longitude, accuracy } = input;
+  if (!isLatitude(latitude) || !isLongitude(longitude)) {
+    throw geofenceError('location must have a numeric latitude and longitude');
+  }
+  if (accuracy !== undefined && accuracy !== null && (typeof accuracy !== 'number' || accuracy < 0)) {
+    throw geofenceError('location.accuracy must be a non-negative number of meters');
+  }
+  return { latitude, longitude, accuracy: accuracy ?? null };
+}
+
+// Validate a geofence definition: {name, center: {latitude, longitude}, radiusMeters}
+// or {name, polygon: [{latitude, longitude}, ...]}
+function validateGeofence(input) {
+  const { name, center, radiusMeters, polygon } = input || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    throw geofenceError('name is required');
+  }
+
+  if (polygon !== undefined) {
+    if (center !== undefined || radiusMeters !== undefined) {
+      throw geofenceError('A geofence is either a circle or a polygon, not both');
+    }
+    if (!Array.isArray(polygon) || polygon.length < 3) {
+      throw geofenceError('polygon must have at least 3 points');
+    }
+    for (const point of polygon) {
+      if (!isLatitude(point?.latitude) || !isLongitude(point?.longitude)) {
+        throw geofenceError('Each polygon point must have a numeric latitude and longitude');
+      }
+    }
+    return {
+      name: name.trim(),
+      polygon: polygon.map(({ latitude, longitude }) => ({ latitude, longitude }))
+    };
+  }
+
+  if (!isLatitude(center?.latitude) || !isLongitude(center?.longitude)) {
+    throw geofenceError('center must have a numeric latitude and longitude');
+  }
+  if (typeof radiusMeters !== 'number' || radiusMeters <= 0) {
+    throw geofenceError('radiusMeters must be a positive number');
+  }
+  return { name: name.trim(), center, radiusMeters };
+}
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Great-circle distance in meters
+function distanceMeters(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+// Polygon points in meters relative to the given origin. Worksites are small enough
+// for a flat projection.
+function projectPolygon(polygon, origin) {
+  const scale = Math.cos(toRadians(origin.latitude));
+  return polygon.map(point => ({
+    x: toRadians(point.longitude - origin.longitude) * EARTH_RADIUS_METERS * scale,
+    y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_METERS
+  }));
+}
+
+// Whether the origin lies inside the projected polygon (ray casting)
+function containsOrigin(points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * -a.y / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Distance from the origin to the projected polygon's nearest edge
+function edgeDistance(points) {
+  let nearest = Infinity;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[j];
+    const b = points[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = dx * dx + dy * dy;
+    const t = length === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / length));
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return nearest;
+}
+
+// Whether a fix falls within the fence, giving it the benefit of its accuracy radius
+function fenceContains(fence, location) {
+  const slack = location.accuracy || 0;
+
+  if (fence.polygon) {
+    const points = projectPolygon(fence.polygon, location);
+    return containsOrigin(points) || edgeDistance(points) <= slack;
+  }
+
+  const center = { latitude: fence.center_latitude, longitude: fence.center_longitude };
+  return distanceMeters(center, location) <= fence.radius_meters + slack;
+}
+
+// Decide where a clock-in happened. The server's answer wins over the client's
+// isRemote claim; a claimed In-Person punch that cannot be placed inside a fence
+// is flagged for review.
+function verifyLocation(fences, location, claimedRemote) {
+  const claimed = claimedRemote ? 'Remote' : 'In-Person';
+  const result = (verification, locationType, geofence = null) => ({
+    verification,
+    locationType,
+    geofenceId: geofence ? geofence.id : null,
+    flagged: !claimedRemote && verification !== 'inside' && verification !== 'no_geofences'
+  });
+
+  if (fences.length === 0) return result('no_geofences', claimed);
+  if (!location) return result('no_location', claimed);
+  if (location.accuracy !== null && location.accuracy > MAX_LOCATION_ACCURACY) {
+    return result('low_accuracy', claimed);
+  }
+
+  const fence = fences.find(candidate => fenceContains(candidate, location));
+  return fence ? result('inside', 'In-Person', fence) : result('outside', 'Remote');
+}
+
+async function listGeofences(companyId, client = pool) {
+  const result = await client.query(
+    'SELECT * FROM geofences WHERE company_id = $1 ORDER BY id',
+    [companyId]
+  );
+  return result.rows;
+}
+
+async function createGeofence(companyId, fence) {
+  const result = await pool.query(
+    `INSERT INTO geofences (company_id, name, center_latitude, center_longitude, radius_meters, polygon)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [
+      companyId,
+      fence.name,
+      fence.center ? fence.center.latitude : null,
+      fence.center ? fence.center.longitude : null,
+      fence.radiusMeters || null,
+      fence.polygon ? JSON.stringify(fence.polygon) : null
+    ]
+  );
+  return result.rows[0];
+}
+
+async function updateGeofence(companyId, id, fence) {
+  const result = await pool.query(
+    `UPDATE geofences
+     SET name = $3, center_latitude = $4, center_longitude = $5, radius_meters = $6, polygon = $7,
+         updated_at = NOW()
+     WHERE company_id = $1 AND id = $2
+     RETURNING *`,
+    [
+      companyId,
+      id,
+      fence.name,
+      fence.center ? fence.center.latitude : null,
+      fence.center ? fence.center.longitude : null,
+      fence.radiusMeters || null,
+      fence.polygon ? JSON.stringify(fence.polygon) : null
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteGeofence(companyId, id) {
+  const result = await pool.query(
+    'DELETE FROM geofences WHERE company_id = $1 AND id = $2 RETURNING id',
+    [companyId, id]
+  );
+  return result.rowCount > 0;
+}
+
+function serializeGeofence(fence) {
+  return {
+    id: fence.id,
+    name: fence.name,
+    ...(fence.polygon
+      ? { polygon: fence.polygon }
+      : {
+        center: { latitude: fence.center_latitude, longitude: fence.center_longitude },
+        radiusMeters: fence.radius_meters
+      }),
+    createdAt: fence.created_at,
+    updatedAt: fence.updated_at
+  };
+}
+
+module.exports = {
+  LOCATION_VERIFICATIONS,
+  parseLocation,
+  validateGeofence,
+  verifyLocation,
+  listGeofences,
+  createGeofence,
+  updateGeofence,
+  deleteGeofence,
+  serializeGeofence
+};
@@ -0,0 +1,94 @@
+const { pool } = require('./db');
+const { getAdapter } = require('./adapters');
+const { schemaProblem } = require('./salesforceSchema');
+const { isShuttingDown } = require('./lifecycle');
+
+const DATABASE_CHECK_TIMEOUT = Number(process.env.HEALTH_DB_TIMEOUT) || 2000;
+// Probes come every few seconds; connection counts are recounted at most this often
+const CONNECTIONS_CACHE_TTL = Number(process.env.HEALTH_CONNECTIONS_TTL) || 30 * 1000;
+
+let cachedConnections = null;
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+  const started = Date.now();
+  try {
+    await withTimeout(pool.query('SELECT 1'), DATABASE_CHECK_TIMEOUT, `No answer within ${DATABASE_CHECK_TIMEOUT}ms`);
+    return {
+      ok: true,
+      latencyMs: Date.now() - started,
+      pool: { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount }
+    };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+// How many companies' sync connections are usable. The endpoints are public, so only
+// counts are reported. A revoked token or broken org affects every instance alike, so
+// it doesn't make an instance unready.
+// Only what the adapters' isConnected and the schema check read is selected, with
+// tokens reduced to whether they are set.
+async function countConnections() {
+  const result = await pool.query(
+    `SELECT sync_adapter,
+            jsonb_build_object('baseUrl', sync_adapter_config->'baseUrl') AS sync_adapter_config,
+            salesforce_access_token IS NOT NULL AS salesforce_access_token,
+            salesforce_reconnect_required_at,
+            salesforce_schema_status
+     FROM companies`
+  );
+  const counts = { total: result.rows.length, connected: 0, notConnected: 0, reconnectRequired: 0, schemaIncomplete: 0 };
+
+  for (const company of result.rows) {
+    const adapter = getAdapter(company);
+    if (!adapter.isConnected(company)) {
+      counts.notConnected++;
+    } else if (adapter.name === 'salesforce' && company.salesforce_reconnect_required_at) {
+      counts.reconnectRequired++;
+    } else if (adapter.name === 'salesforce' && schemaProblem(company)) {
+      counts.schemaIncomplete++;
+    } else {
+      counts.connected++;
+    }
+  }
+  return counts;
+}
+
+async function checkConnections() {
+  if (!cachedConnections || Date.now() - cachedConnections.at >= CONNECTIONS_CACHE_TTL) {
+    cachedConnections = { at: Date.now(), counts: await countConnections() };
+  }
+  return cachedConnections.counts;
+}
+
+// Ready when the database answers and the instance isn't shutting down; connection
+// problems only mark the instance degraded
+async function checkReadiness() {
+  if (isShuttingDown()) {
+    return { ready: false, status: 'shutting_down', checks: {} };
+  }
+
+  const database = await checkDatabase();
+  if (!database.ok) {
+    return { ready: false, status: 'unavailable', checks: { database } };
+  }
+
+  const connections = await checkConnections();
+  return {
+    ready: true,
+    status: connections.reconnectRequired + connections.schemaIncomplete > 0 ? 'degraded' : 'ok',
+    checks: { database, connections }
+  };
+}
+
+module.exports = {
+  checkReadiness
+};
@@ -0,0 +1,378 @@
+const { pool, withTransaction } = require('./db');
+const { getAdapter } = require('./adapters');
+const { schemaProblem } = require('./salesforceSchema');
+const { describeError } = require('./redact');
+const {
+  LOCATION_TYPES,
+  insertAuditEntry,
+  queuePunchSync,
+  hasUnsyncedWrites,
+  assertNoOverlap,
+  assertValidTimes
+} = require('./punches');
+const { logger } = require('./logger');
+const { track } = require('./lifecycle');
+
+const INBOUND_SYNC_INTERVAL = Number(process.env.INBOUND_SYNC_INTERVAL) || 2 * 60 * 1000; // 2 minutes
+// How long after one of our own writes a matching remote change is taken as its echo
+const ECHO_WINDOW = 60 * 1000;
+const CONFLICT_STATUSES = ['open', 'resolved'];
+
+function conflictError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function localSnapshot(punch) {
+  return {
+    clockIn: punch.clock_in,
+    clockOut: punch.clock_out,
+    locationType: punch.location_type,
+    voided: Boolean(punch.voided_at)
+  };
+}
+
+function remoteSnapshot(change) {
+  return {
+    clockIn: change.clockIn || null,
+    clockOut: change.clockOut || null,
+    locationType: change.locationType || null,
+    deleted: Boolean(change.deleted)
+  };
+}
+
+function sameTime(a, b) {
+  if (!a || !b) return !a && !b;
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+function matchesLocal(punch, change) {
+  if (change.deleted || punch.voided_at) return Boolean(change.deleted) === Boolean(punch.voided_at);
+  return sameTime(punch.clock_in, change.clockIn)
+    && sameTime(punch.clock_out, change.clockOut)
+    && punch.location_type === change.locationType;
+}
+
+// A change made just before one of our writes landed is usually that write coming back;
+// it matches the times we sent rather than the punch as it is now
+async function isOwnWrite(client, punch, change) {
+  if (change.deleted) return false;
+  const result = await client.query(
+    `SELECT clock_in, clock_out FROM punch_events
+     WHERE punch_id = $1 AND status = 'synced' AND synced_at >= $2::timestamptz - $3 * INTERVAL '1 millisecond'`,
+    [punch.id, change.modifiedAt, ECHO_WINDOW]
+  );
+  return result.rows.some(event => sameTime(event.clock_in, change.clockIn) && sameTime(event.clock_out, change.clockOut));
+}
+
+// Why the remote values can't be applied as they are, or null
+async function invalidRemoteChange(client, punch, change) {
+  if (change.deleted) return null;
+
+  const clockIn = new Date(change.clockIn);
+  const clockOut = change.clockOut ? new Date(change.clockOut) : null;
+  if (!change.clockIn || isNaN(clockIn.getTime()) || (clockOut && isNaN(clockOut.getTime()))) {
+    return 'Clock in or clock out time is missing or invalid';
+  }
+  if (!LOCATION_TYPES.includes(change.locationType)) {
+    return `Location type must be one of: ${LOCATION_TYPES.join(', ')}`;
+  }
+
+  try {
+    assertValidTimes(clockIn, clockOut);
+    await assertNoOverlap(client, { ...punch, clock_in: clockIn, clock_out: clockOut });
+  } catch (error) {
+    if (error.status) return error.message;
+    throw error;
+  }
+  return null;
+}
+
+// Open a conflict for the punch, or bring its open one up to date with the latest change
+async function recordConflict(client, punch, change, reason) {
+  const result = await client.query(
+    `INSERT INTO sync_conflicts
+       (company_id, punch_id, external_id, reason, local, remote, remote_modified_at, remote_modified_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (punch_id) WHERE status = 'open'
+     DO UPDATE SET
+       reason = EXCLUDED.reason,
+       local = EXCLUDED.local,
+       remote = EXCLUDED.remote,
+       remote_modified_at = EXCLUDED.remote_modified_at,
+       remote_modified_by = EXCLUDED.remote_modified_by,
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      punch.company_id,
+      punch.id,
+      change.externalId,
+      reason,
+      localSnapshot(punch),
+      remoteSnapshot(change),
+      change.modifiedAt || null,
+      change.modifiedBy || null
+    ]
+  );
+  return result.rows[0];
+}
+
+// Make the punch match the remote values. No sync is queued: the system of record
+// already has them.
+async function applyRemoteChange(client, before, change, actor, reason) {
+  const updated = change.deleted
+    ? await client.query(
+      'UPDATE punches SET voided_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *',
+      [before.id]
+    )
+    : await client.query(
+      `UPDATE punches
+       SET clock_in = $2, clock_out = $3, location_type = $4,
+           flagged_at = NULL, location_flagged_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [before.id, new Date(change.clockIn), change.clockOut ? new Date(change.clockOut) : null, change.locationType]
+    );
+  const punch = updated.rows[0];
+  await insertAuditEntry(client, punch, { action: change.deleted ? 'void' : 'edit', actor, reason, before });
+  return punch;
+}
+
+// Bring one remote change into the local store. Resolves with what happened:
+// 'unknown', 'unchanged', 'applied' or 'conflict'.
+async function reconcileChange(company, change) {
+  return withTransaction(async client => {
+    const locked = await client.query(
+      'SELECT * FROM punches WHERE company_id = $1 AND salesforce_id = $2 FOR UPDATE',
+      [company.id, change.externalId]
+    );
+    const punch = locked.rows[0];
+    // Records we never wrote are brought in by an import instead
+    if (!punch) return 'unknown';
+    if (matchesLocal(punch, change)) return 'unchanged';
+    if (await isOwnWrite(client, punch, change)) return 'unchanged';
+
+    // An admin already settled this change
+    const settled = await client.query(
+      `SELECT 1 FROM sync_conflicts
+       WHERE punch_id = $1 AND status = 'resolved' AND remote_modified_at >= $2`,
+      [punch.id, change.modifiedAt]
+    );
+    if (settled.rows.length > 0) return 'unchanged';
+
+    let reason = null;
+    if (await hasUnsyncedWrites(client, punch)) {
+      reason = 'Punch has local changes that have not been synced yet';
+    } else if (punch.voided_at) {
+      reason = 'Punch was voided locally';
+    } else {
+      reason = await invalidRemoteChange(client, punch, change);
+    }
+
+    if (reason) {
+      await recordConflict(client, punch, change, reason);
+      return 'conflict';
+    }
+
+    const actor = { email: change.modifiedBy || 'salesforce', role: getAdapter(company).name };
+    await applyRemoteChange(client, punch, change, actor, `Changed in ${getAdapter(company).name}`);
+    // A newer change superseded whatever was left open for this punch
+    await client.query(
+      `UPDATE sync_conflicts
+       SET status = 'resolved', resolution = 'remote', resolved_by = $2, resolved_at = NOW(), updated_at = NOW()
+       WHERE punch_id = $1 AND status = 'open'`,
+      [punch.id, actor.email]
+    );
+    return 'applied';
+  });
+}
+
+const time = value => new Date(value).getTime();
+
+// Pull one company's changes since its cursor. The first run only sets the cursor, to
+// the newest change in the external system (its clock, not ours); history before it is
+// brought in by an import.
+// Modification times only have second precision, so the cursor's own second is read
+// again each time; the ids already read at exactly the cursor are skipped.
+async function pollCompany(company) {
+  const adapter = getAdapter(company);
+
+  if (!company.inbound_sync_cursor) {
+    const latest = await adapter.latestChange(company);
+    await pool.query(
+      'UPDATE companies SET inbound_sync_cursor = $2, inbound_sync_cursor_ids = $3 WHERE id = $1',
+      [company.id, latest ? new Date(latest.modifiedAt) : new Date(0), latest ? [latest.externalId] : []]
+    );
+    return { applied: 0, conflicts: 0 };
+  }
+
+  const since = time(company.inbound_sync_cursor);
+  const seen = new Set(company.inbound_sync_cursor_ids || []);
+  const changes = (await adapter.listChanges(company, new Date(since)))
+    .filter(change => !(time(change.modifiedAt) === since && seen.has(change.externalId)));
+  const counts = { applied: 0, conflicts: 0 };
+  let cursor = since;
+  let cursorIds = seen;
+
+  for (const change of changes) {
+    const result = await reconcileChange(company, change);
+    if (result === 'applied') counts.applied++;
+    if (result === 'conflict') counts.conflicts++;
+    if (result !== 'unknown' && result !== 'unchanged') {
+      logger.info(`📥 [${company.public_id}] ${result === 'applied' ? 'Applied' : 'Conflict on'} ${adapter.name} change:`, change.externalId);
+    }
+    const modifiedAt = time(change.modifiedAt);
+    if (modifiedAt > cursor) {
+      cursor = modifiedAt;
+      cursorIds = new Set();
+    }
+    cursorIds.add(change.externalId);
+  }
+
+  if (changes.length > 0) {
+    await pool.query(
+      // Never moves back behind a concurrent poll that got further
+      `UPDATE companies SET inbound_sync_cursor = $2, inbound_sync_cursor_ids = $3
+       WHERE id = $1 AND inbound_sync_cursor <= $2`,
+      [company.id, new Date(cursor), Array.from(cursorIds)]
+    );
+  }
+  return counts;
+}
+
+// Companies whose system of record can report changes and is ready to be read
+async function findPollableCompanies() {
+  const result = await pool.query(
+    'SELECT * FROM companies WHERE salesforce_reconnect_required_at IS NULL ORDER BY id'
+  );
+  return result.rows.filter(company => {
+    const adapter = getAdapter(company);
+    if (!adapter.listChanges || !adapter.isConnected(company)) return false;
+    return adapter.name !== 'salesforce' || !schemaProblem(company);
+  });
+}
+
+async function pollInboundChanges() {
+  const companies = await findPollableCompanies();
+  for (const company of companies) {
+    try {
+      await pollCompany(company);
+    } catch (error) {
+      // The cursor stays put, so the same changes are read again next time
+      if (!error.needsReconnect) {
+        logger.error('Inbound sync failed for company:', company.public_id, describeError(error));
+      }
+    }
+  }
+  return companies.length;
+}
+
+function startInboundSync() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await track(pollInboundChanges());
+    } catch (error) {
+      logger.error('Inbound sync error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, INBOUND_SYNC_INTERVAL);
+}
+
+async function listSyncConflicts(companyId, { status, limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM sync_conflicts
+     WHERE company_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [companyId, status || null, limit]
+  );
+  return result.rows;
+}
+
+// Settle a conflict. Keeping the remote values applies them to the punch; keeping the
+// local ones sends the punch as it stands back to the system of record.
+async function resolveSyncConflict(company, actor, id, { keep, reason }) {
+  return withTransaction(async client => {
+    const found = await client.query(
+      'SELECT * FROM sync_conflicts WHERE company_id = $1 AND id = $2 FOR UPDATE',
+      [company.id, id]
+    );
+    const conflict = found.rows[0];
+    if (!conflict) {
+      throw conflictError(404, 'Conflict not found');
+    }
+    if (conflict.status !== 'open') {
+      throw conflictError(409, 'Conflict has already been resolved');
+    }
+
+    const locked = await client.query('SELECT * FROM punches WHERE id = $1 FOR UPDATE', [conflict.punch_id]);
+    let punch = locked.rows[0];
+    const remote = { ...conflict.remote, externalId: conflict.external_id };
+
+    if (keep === 'remote') {
+      if (!matchesLocal(punch, remote)) {
+        if (punch.voided_at) {
+          throw conflictError(409, 'Punch was voided locally; keep the local version instead');
+        }
+        const invalid = await invalidRemoteChange(client, punch, remote);
+        if (invalid) {
+          throw conflictError(409, `The remote version can't be applied: ${invalid}`);
+        }
+        punch = await applyRemoteChange(client, punch, remote, actor, reason);
+      }
+    } else {
+      if (remote.deleted && !punch.voided_at) {
+        // The remote record is gone; the sync creates a new one
+        const cleared = await client.query(
+          'UPDATE punches SET salesforce_id = NULL, updated_at = NOW() WHERE id = $1 RETURNING *',
+          [punch.id]
+        );
+        punch = cleared.rows[0];
+      }
+      await queuePunchSync(client, punch, `conflict-${conflict.id}`);
+    }
+
+    const resolved = await client.query(
+      `UPDATE sync_conflicts
+       SET status = 'resolved', resolution = $2, resolved_by = $3, resolved_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [conflict.id, keep, actor.email]
+    );
+    return resolved.rows[0];
+  });
+}
+
+function serializeSyncConflict(conflict) {
+  return {
+    id: conflict.id,
+    punchId: conflict.punch_id,
+    externalId: conflict.external_id,
+    reason: conflict.reason,
+    local: conflict.local,
+    remote: conflict.remote,
+    remoteModifiedAt: conflict.remote_modified_at,
+    remoteModifiedBy: conflict.remote_modified_by,
+    status: conflict.status,
+    resolution: conflict.resolution,
+    resolvedBy: conflict.resolved_by,
+    resolvedAt: conflict.resolved_at,
+    createdAt: conflict.created_at,
+    updatedAt: conflict.updated_at
+  };
+}
+
+module.exports = {
+  CONFLICT_STATUSES,
+  pollInboundChanges,
+  startInboundSync,
+  listSyncConflicts,
+  resolveSyncConflict,
+  serializeSyncConflict
+};
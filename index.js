@@ -1,21 +1,143 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
-const { pool, tokenHelpers, initDb } = require('./db');
+const { pool, companyHelpers, userHelpers } = require('./db');
+const { assertSchemaCurrent } = require('./migrate');
+const { ROLES, getSessionSecret, hashPassword, verifyPassword, signSession, requireEmployee, requireAdmin } = require('./auth');
+const { ADAPTERS, getAdapter } = require('./adapters');
+const { connectionStatus, startTokenRefresher } = require('./tokenManager');
+const { createAuthorizeUrl, completeAuthorization, disconnect } = require('./salesforceOAuth');
+const { getFieldMapping, validateFieldMapping, checkSchema } = require('./salesforceSchema');
+const {
+  LOCATION_TYPES,
+  recordPunch,
+  createPunch,
+  editPunch,
+  voidPunch,
+  getPunchHistory,
+  getPunchById,
+  isSameSubmission,
+  listPunches,
+  listEmployeePage,
+  decodeCursor,
+  serializePunch,
+  summarizeEmployees,
+  importPunches,
+  changeSyncAdapter
+} = require('./punches');
+const {
+  PUNCH_STATUSES,
+  getPunchEvent,
+  listPunchEvents,
+  retryPunchEvent,
+  resumePunchEvents,
+  serializePunchEvent,
+  startPunchWorker
+} = require('./punchQueue');
+const { startOpenShiftMonitor } = require('./openShifts');
+const { getPresenceSnapshot, publishPresence, startPresenceListener, streamPresence, stopPresence } = require('./presence');
+const {
+  CONFLICT_STATUSES,
+  startInboundSync,
+  listSyncConflicts,
+  resolveSyncConflict,
+  serializeSyncConflict
+} = require('./inboundSync');
+const { EXPORT_FORMATS, writeTimesheet } = require('./timesheets');
+const {
+  DELIVERY_STATUSES,
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  deleteSubscription,
+  emitWebhookEvent,
+  startWebhookWorker,
+  listDeliveries,
+  redeliver,
+  serializeSubscription,
+  serializeDelivery
+} = require('./webhooks');
+const { getLaborRules, validateLaborRules } = require('./laborRules');
+const { normalizeTimezone } = require('./timezone');
+const {
+  parseLocation,
+  validateGeofence,
+  listGeofences,
+  createGeofence,
+  updateGeofence,
+  deleteGeofence,
+  serializeGeofence
+} = require('./geofences');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
+const { loadKeys } = require('./tokenCrypto');
+const { redactUrl, describeError } = require('./redact');
+const { logger, requestLogger } = require('./logger');
+const { register, metricsMiddleware } = require('./metrics');
+const { checkReadiness } = require('./health');
+const { track, beginShutdown, isShuttingDown, drain, inflightCount } = require('./lifecycle');
+const { withUserLock, userLockKey, abortHeldLocks } = require('./locks');
+
+// How long a shutdown waits for requests and background runs before giving up on them
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT) || 20 * 1000;
+// How long it then waits for aborted lock holders to stop
+const LOCK_ABORT_TIMEOUT = 3000;
+
+// Set once the server is listening
+let server = null;
+const workers = [];
+
+// Stop taking work, let what is in flight finish (or abort what holds user locks once
+// the deadline passes), then close the pool and exit
+async function shutdown(reason, exitCode = 0) {
+  if (isShuttingDown()) return;
+  beginShutdown();
+  logger.info('🛑 Shutting down:', { reason, timeoutMs: SHUTDOWN_TIMEOUT });
+
+  // Last resort if closing hangs
+  setTimeout(() => process.exit(exitCode || 1), SHUTDOWN_TIMEOUT + 5000).unref();
+
+  workers.forEach(clearInterval);
+  stopPresence();
+  if (server) {
+    server.close();
+    server.closeIdleConnections?.();
+  }
+
+  try {
+    const drained = await drain(SHUTDOWN_TIMEOUT);
+    if (!drained) {
+      logger.warn('⚠️ Shutdown deadline passed with work in flight, aborting lock holders:', { inflight: inflightCount() });
+      const running = await abortHeldLocks(LOCK_ABORT_TIMEOUT);
+      if (running > 0) {
+        // Their leases run out on their own
+        logger.warn('⚠️ Lock holders still running, leaving their locks to expire:', { running });
+      }
+      server?.closeAllConnections?.();
+    }
+    await pool.end();
+    logger.info('👋 Shutdown complete');
+  } catch (error) {
+    logger.error('❌ Error during shutdown:', error.message);
+    exitCode = exitCode || 1;
+  }
+  process.exit(exitCode);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Process level error handling
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  // Keep the process running
-  process.exit(1);
+  logger.error('Uncaught exception', { stack: error.stack || String(error) });
+  // The process may be in a bad state; drain what we can and exit
+  shutdown('uncaughtException', 1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('Unhandled rejection', { stack: reason instanceof Error ? reason.stack : String(reason) });
 });
 
 // Keep track of server state
@@ -25,94 +147,87 @@ let serverState = {
   lastRequest: null
 };
 
-// Add request tracking at the top of the file
-let requestCount = 0;
-const activeRequests = new Map();
-
 const app = express();
 
-// Add timezone mapping at the top of the file
-const TIMEZONE_MAP = {
-  // US Timezones
-  'EDT': 'America/New_York',
-  'EST': 'America/New_York',
-  'CDT': 'America/Chicago',
-  'CST': 'America/Chicago',
-  'MDT': 'America/Denver',
-  'MST': 'America/Denver',
-  'PDT': 'America/Los_Angeles',
-  'PST': 'America/Los_Angeles',
-  'AKDT': 'America/Anchorage',
-  'AKST': 'America/Anchorage',
-  'HADT': 'America/Adak',
-  'HAST': 'America/Adak',
-  'HST': 'Pacific/Honolulu',
-  
-  // Indian Timezones
-  'IST': 'Asia/Kolkata',
-  'IST-5:30': 'Asia/Kolkata',
-  'IST+5:30': 'Asia/Kolkata',
-  'India': 'Asia/Kolkata',
-  'Kolkata': 'Asia/Kolkata',
-  'Calcutta': 'Asia/Kolkata',
-  'Mumbai': 'Asia/Kolkata',
-  'Delhi': 'Asia/Kolkata',
-  'Chennai': 'Asia/Kolkata',
-  'Bangalore': 'Asia/Kolkata'
-};
-
-// Add after other constants
-const REFRESH_TOKEN_INTERVAL = 1000 * 60 * 60; // 1 hour
-
 // Initialize database before starting the server
 async function startServer() {
   try {
-    console.log('Initializing database...');
-    await initDb();
-    console.log('Database initialized successfully');
+    // Fail fast on a missing or malformed token encryption key or session secret
+    loadKeys();
+    getSessionSecret();
+
+    // Refuse to run against a schema with pending or edited migrations
+    const { applied } = await assertSchemaCurrent();
+    logger.info(`Database schema is current (${applied.length} migration(s) applied)`);
 
     const PORT = process.env.PORT || 3000;
-    const server = app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
       serverState.startTime = new Date().toISOString();
-      console.log(`[${serverState.startTime}] Server is running on port ${PORT}`);
-      console.log('Available routes:');
-      console.log('GET  /');
-      console.log('GET  /ping');
-      console.log('GET  /api/test');
-      console.log('GET  /api/callback');
+      logger.info('Server is running', { port: Number(PORT), startTime: serverState.startTime });
+      logger.info('Available routes:');
+      logger.info('GET  /');
+      logger.info('GET  /ping');
+      logger.info('GET  /health/live');
+      logger.info('GET  /health/ready');
+      logger.info('GET  /metrics');
+      logger.info('GET  /api/test');
+      logger.info('GET  /api/callback');
     });
 
+    // Replay queued punches to Salesforce in the background
+    workers.push(startPunchWorker());
+
+    // Close or flag shifts nobody clocked out of
+    workers.push(startOpenShiftMonitor());
+
+    // Refresh Salesforce tokens before they expire
+    workers.push(startTokenRefresher());
+
+    // Pull edits made directly in the system of record
+    workers.push(startInboundSync());
+
+    // Send queued webhook deliveries
+    workers.push(startWebhookWorker());
+
+    // Relay clock-ins and clock-outs from every instance to presence streams
+    startPresenceListener();
+
     // Handle server errors
     server.on('error', (error) => {
-      console.error('Server error:', error);
+      logger.error('Server error:', error);
     });
 
     // Handle server close
     server.on('close', () => {
-      console.log('Server is shutting down...');
+      logger.info('Server is shutting down...');
     });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server:', error);
     process.exit(1);
   }
 }
 
-// Debug middleware - log ALL requests before any other middleware
+// Request IDs and one redacted log line per request, before any other middleware
+app.use(requestLogger);
+app.use(metricsMiddleware);
+
+// Refuse new requests once shutting down, and hold the shutdown until those already
+// running have been answered
+app.use((req, res, next) => {
+  if (isShuttingDown()) {
+    res.set('Connection', 'close');
+    return res.status(503).json({ error: 'Server is shutting down' });
+  }
+  track(new Promise(resolve => res.on('close', resolve)));
+  next();
+});
 app.use((req, res, next) => {
   serverState.requestCount++;
   serverState.lastRequest = new Date().toISOString();
-  console.log(`[${new Date().toISOString()}] Request #${serverState.requestCount}:`, {
-    method: req.method,
-    url: req.url,
-    path: req.path,
-    originalUrl: req.originalUrl,
-    query: req.query,
-    headers: req.headers
-  });
   next();
 });
 
-// Trust proxy for rate limiter
+// Behind Fly's proxy; the login rate limiter keys on the client address it forwards
 app.set('trust proxy', 1);
 
 // Security middleware - temporarily disable helmet for testing
@@ -121,21 +236,20 @@ app.set('trust proxy', 1);
 //   crossOriginOpenerPolicy: { policy: "unsafe-none" }
 // }));
 
+// Only browser origins listed in CORS_ORIGINS (comma separated) may call the API.
+// Sessions travel in the Authorization header, so no credentialed requests are needed.
 app.use(cors({
-  origin: '*',  // Allow all origins temporarily for testing
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: true
+  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()) : false,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 app.use(express.json());
 
-// Rate limiting - temporarily disable for testing
-// app.use(limiter);
-
 // Health check endpoints
 app.get('/', (req, res) => {
-  console.log('Root endpoint hit');
+  logger.info('Root endpoint hit');
   res.json({
     status: 'ok',
     uptime: process.uptime(),
@@ -148,614 +262,1151 @@ app.get('/', (req, res) => {
 });
 
 app.get('/ping', (req, res) => {
-  console.log('✅ /ping route was hit');
+  logger.info('✅ /ping route was hit');
   res.send('Pong!');
 });
 
+// Liveness: the process is up and serving. Restart the instance if this fails.
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// Readiness: the instance can do useful work. Route traffic away from it if this fails.
+app.get('/health/ready', async (req, res) => {
+  try {
+    const readiness = await checkReadiness();
+    res.status(readiness.ready ? 200 : 503).json({ status: readiness.status, checks: readiness.checks });
+  } catch (error) {
+    logger.error('❌ Readiness check failed:', error.message);
+    res.status(503).json({ status: 'unavailable', error: 'Readiness check failed' });
+  }
+});
+
+// Prometheus scrape endpoint, called with METRICS_TOKEN as a bearer token. Series are
+// labelled with company ids, so it is not served at all until a token is configured.
+app.get('/metrics', async (req, res) => {
+  if (!process.env.METRICS_TOKEN) {
+    return res.status(404).json({ error: 'Metrics are not enabled' });
+  }
+  if (req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    logger.error('❌ Failed to collect metrics:', error.message);
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
 // Debug route to test routing
 app.get('/api/test', (req, res) => {
-  console.log('Test route hit');
+  logger.info('Test route hit');
   res.send('Test route working');
 });
 
-// OAuth callback endpoint
-app.get('/api/callback', async (req, res) => {
-  console.log('🔔 Callback endpoint hit - START');
-  console.log('Full URL:', req.protocol + '://' + req.get('host') + req.originalUrl);
-  console.log('Raw query string:', req.url.split('?')[1]);
-  console.log('Query params:', req.query);
-  console.log('Headers:', req.headers);
-  
-  const { code } = req.query;
+// Registration is throttled per client address, so the signup token can't be guessed
+const signupLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many registration attempts, try again later' }
+});
 
-  if (!code) {
-    console.error('No authorization code received');
-    return res.status(400).send('Authorization code is missing');
+// Register a new company together with its first admin. Called with COMPANY_SIGNUP_TOKEN
+// as a bearer token; registration is closed until a token is configured.
+app.post('/api/companies', signupLimiter, async (req, res) => {
+  if (!process.env.COMPANY_SIGNUP_TOKEN) {
+    return res.status(404).json({ error: 'Company registration is not enabled' });
+  }
+  if (req.get('Authorization') !== `Bearer ${process.env.COMPANY_SIGNUP_TOKEN}`) {
+    return res.status(401).json({ error: 'Invalid signup token' });
+  }
+
+  const { email, name, password } = req.body || {};
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
   }
 
   try {
-    const tokenRequestParams = {
-      grant_type: 'authorization_code',
-      client_id: process.env.SALESFORCE_CLIENT_ID,
-      client_secret: process.env.SALESFORCE_CLIENT_SECRET,
-      redirect_uri: process.env.SALESFORCE_REDIRECT_URI,
-      code
-    };
+    const company = await companyHelpers.createCompany(uuidv4());
+    const admin = await userHelpers.createUser(company.id, {
+      email,
+      name,
+      role: 'admin',
+      passwordHash: await hashPassword(password)
+    });
+    logger.info('🏢 Registered new company:', company.public_id);
 
-    console.log('📡 Requesting tokens from Salesforce...');
+    res.status(201).json({
+      success: true,
+      companyId: company.public_id,
+      token: signSession(admin, company)
+    });
+  } catch (error) {
+    logger.error('Error registering company:', error.message);
+    res.status(500).json({ error: 'Failed to register company' });
+  }
+});
+
+// Password guessing is throttled per client address and, so rotating addresses doesn't
+// help, per account; successful logins don't count against the account
+const loginLimitResponse = { error: 'Too many login attempts, try again later' };
+const loginIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 30,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: loginLimitResponse
+});
+const loginAccountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  keyGenerator: req => `${req.body?.companyId}:${String(req.body?.email || '').toLowerCase()}`,
+  message: loginLimitResponse
+});
 
-    const response = await axios.post('https://login.salesforce.com/services/oauth2/token', null, {
-      params: tokenRequestParams
+// Exchange employee or admin credentials for a signed session token
+app.post('/api/auth/login', loginIpLimiter, loginAccountLimiter, async (req, res) => {
+  const { companyId, email, password } = req.body || {};
+  if (!companyId || !email || !password) {
+    return res.status(400).json({ error: 'Company, email and password are required' });
+  }
+
+  try {
+    const company = await companyHelpers.getCompany(companyId);
+    const user = company ? await userHelpers.getUser(company.id, email) : null;
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({
+      success: true,
+      role: user.role,
+      token: signSession(user, company)
     });
+  } catch (error) {
+    logger.error('Error logging in:', error.message);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
 
-    const { access_token, refresh_token, instance_url } = response.data;
+// Admins enrol employees (or further admins) for their company
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+  const { email, name, password, role = 'employee' } = req.body || {};
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
 
-    if (!access_token || !refresh_token || !instance_url) {
-      console.error('❌ Missing tokens from response:', response.data);
-      return res.status(500).send('Invalid response from Salesforce');
+  try {
+    const existing = await userHelpers.getUser(req.company.id, email);
+    if (existing) {
+      return res.status(409).json({ error: 'User already exists' });
     }
 
-    // Store the tokens
-    await tokenHelpers.storeTokens({
-      access_token,
-      refresh_token,
-      instance_url
+    const user = await userHelpers.createUser(req.company.id, {
+      email,
+      name,
+      role,
+      passwordHash: await hashPassword(password)
     });
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    logger.error('Error creating user:', error.message);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// OAuth callback endpoint. The signed state identifies the flow started by
+// /api/connect-salesforce and is only accepted once.
+app.get('/api/callback', async (req, res) => {
+  logger.info('🔔 Callback endpoint hit');
 
-    console.log('✅ Tokens stored successfully');
+  const { code, state, error: authError, error_description: authErrorDescription } = req.query;
+
+  if (authError) {
+    logger.error('Salesforce authorization denied:', { authError, authErrorDescription });
+    return res.status(400).send('Salesforce authorization was not granted');
+  }
+
+  if (!code) {
+    logger.error('No authorization code received');
+    return res.status(400).send('Authorization code is missing');
+  }
+
+  if (!state) {
+    logger.error('No state received');
+    return res.status(400).send('State parameter is missing');
+  }
+
+  try {
+    const flow = await completeAuthorization(state, code);
+    logger.info('✅ Tokens stored successfully', { companyId: flow.public_id, startedBy: flow.started_by });
+
+    // The connection stands even if the check fails; admins can rerun it from the schema endpoint
+    let schema = null;
+    try {
+      schema = await checkSchema(await companyHelpers.getCompanyById(flow.company_id));
+    } catch (error) {
+      logger.error('❌ Salesforce schema check failed:', describeError(error));
+    }
+    await resumePunchEvents(flow.company_id);
+
+    if (schema && !schema.ok) {
+      return res.send('Salesforce connected, but the org is missing objects or fields Workpunch needs. See /api/admin/salesforce/schema.');
+    }
     return res.send('Salesforce successfully connected!');
   } catch (error) {
-    console.error('❌ Salesforce auth error:', {
-      message: error.message,
-      data: error.response?.data,
-      status: error.response?.status
-    });
+    if (error.expose) {
+      logger.error('❌ Rejected OAuth callback:', error.message);
+      return res.status(error.status).send(error.message);
+    }
+    logger.error('❌ Salesforce auth error:', describeError(error));
     return res.status(500).send('Salesforce authentication failed. Check logs.');
   }
 });
 
-// Get employees from Salesforce
-app.get('/api/employees', async (req, res) => {
-  try {
-    const tokens = await tokenHelpers.getTokens();
-    if (!tokens) {
-      return res.status(404).json({ error: 'No Salesforce connection found' });
-    }
+const EMPLOYEE_PAGE_SIZE = 50;
+const MAX_EMPLOYEE_PAGE_SIZE = 200;
+
+// Employees and their punches, read from the local punch store, a page at a time.
+// Query parameters:
+//   from, to      - ISO dates bounding the clock-in time (to is exclusive)
+//   email         - a single employee
+//   locationType  - Remote or In-Person
+//   openOnly      - "true" for shifts that have not been clocked out
+//   needsReview   - "true" for shifts flagged for review (open too long or an
+//                   unverified In-Person location)
+//   limit, cursor - page size in employees (default 50, at most 200), and the
+//                   nextCursor of the previous page
+// Responds with { employees, nextCursor }; nextCursor is null on the last page.
+// Before paging this route returned the bare employees array with every employee,
+// so older clients have to read .employees and follow nextCursor.
+app.get('/api/employees', requireAdmin, async (req, res) => {
+  const { from, to, email, locationType, openOnly, needsReview, cursor } = req.query;
+  const limit = req.query.limit ? Number(req.query.limit) : EMPLOYEE_PAGE_SIZE;
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+  if (locationType && !LOCATION_TYPES.includes(locationType)) {
+    return res.status(400).json({ error: `locationType must be one of: ${LOCATION_TYPES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EMPLOYEE_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_EMPLOYEE_PAGE_SIZE}` });
+  }
+  const after = cursor ? decodeCursor(cursor) : undefined;
+  if (cursor && after === undefined) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
 
-    // Query Salesforce for employees and their clock records
-    const response = await axios.get(
-      `${tokens.instance_url}/services/data/v59.0/query`,
+  try {
+    const page = await listEmployeePage(
+      req.company.id,
       {
-        headers: {
-          Authorization: `Bearer ${tokens.access_token}`,
-        },
-        params: {
-          q: `
-            SELECT 
-              Employee_Email__c,
-              Employee_Name__c,
-              Punch_In_Time__c,
-              Punch_Out_Time__c,
-              Location_Type__c
-            FROM Workpunch__c
-            ORDER BY Employee_Email__c, Punch_In_Time__c DESC
-          `
-        }
-      }
+        userEmail: email,
+        from: fromDate,
+        to: toDate,
+        locationType,
+        openOnly: openOnly === 'true',
+        needsReview: needsReview === 'true'
+      },
+      { after, limit, rules: getLaborRules(req.company) }
     );
+    res.json(page);
+  } catch (error) {
+    logger.error('Error fetching employees:', error.message);
+    res.status(500).json({ error: 'Failed to fetch employees' });
+  }
+});
 
-    // Group records by employee
-    const employeeMap = new Map();
-    response.data.records.forEach(record => {
-      if (!employeeMap.has(record.Employee_Email__c)) {
-        employeeMap.set(record.Employee_Email__c, {
-          id: record.Employee_Email__c,
-          name: record.Employee_Name__c,
-          clockRecords: [],
-          totalRemoteHours: 0,
-          totalInPersonHours: 0
-        });
-      }
+// The signed-in employee's own punches, open shift and totals
+app.get('/api/me/punches', requireEmployee, async (req, res) => {
+  try {
+    const punches = await listPunches(req.company.id, { userEmail: req.user.email });
+    const [summary] = summarizeEmployees(punches, getLaborRules(req.company));
+    const openShift = punches.find(punch => !punch.clock_out);
 
-      const employee = employeeMap.get(record.Employee_Email__c);
-      if (record.Punch_In_Time__c) {
-        const clockRecord = {
-          clockIn: new Date(record.Punch_In_Time__c),
-          clockOut: record.Punch_Out_Time__c ? new Date(record.Punch_Out_Time__c) : null,
-          isRemote: record.Location_Type__c === 'Remote'
-        };
-        employee.clockRecords.push(clockRecord);
-
-        // Calculate hours if clocked out
-        if (clockRecord.clockOut) {
-          const hours = (clockRecord.clockOut - clockRecord.clockIn) / (1000 * 60 * 60);
-          if (clockRecord.isRemote) {
-            employee.totalRemoteHours += hours;
-          } else {
-            employee.totalInPersonHours += hours;
-          }
-        }
-      }
+    res.json({
+      id: req.user.email,
+      clockRecords: summary?.clockRecords || [],
+      totalRemoteHours: summary?.totalRemoteHours || 0,
+      totalInPersonHours: summary?.totalInPersonHours || 0,
+      totalRegularHours: summary?.totalRegularHours || 0,
+      totalOvertimeHours: summary?.totalOvertimeHours || 0,
+      totalDoubleTimeHours: summary?.totalDoubleTimeHours || 0,
+      weeks: summary?.weeks || [],
+      openShift: openShift ? serializePunch(openShift) : null
     });
-
-    res.json(Array.from(employeeMap.values()));
   } catch (error) {
-    console.error('Error fetching employees from Salesforce:', error.response?.data || error.message);
-    res.status(500).json({ error: 'Failed to fetch employees from Salesforce' });
+    logger.error('Error fetching punches:', error.message);
+    res.status(500).json({ error: 'Failed to fetch punches' });
   }
 });
 
-// Sync user data endpoint
-app.post('/api/sync-user', async (req, res) => {
-  const { userId, name, email } = req.body;
-  console.log('Syncing user data:', { userId, name, email });
+// A time sent as an ISO string or epoch milliseconds; anything else (null, booleans,
+// objects, empty strings) is undefined rather than a date in 1970
+function parseTime(value) {
+  const valid = (typeof value === 'string' && value.trim() !== '') || (typeof value === 'number' && Number.isFinite(value));
+  if (!valid) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Parse the punch fields an admin correction may carry. Returns { changes } or { error }.
+function parseCorrection(body, { requireClockIn }) {
+  const changes = { reason: typeof body.reason === 'string' ? body.reason.trim() : '' };
+  if (!changes.reason) {
+    return { error: 'A reason is required' };
+  }
+
+  if (body.clockIn !== undefined || requireClockIn) {
+    changes.clockIn = parseTime(body.clockIn);
+    if (!changes.clockIn) return { error: 'Invalid clock in date' };
+  }
+  if (body.clockOut !== undefined) {
+    // null reopens the shift
+    changes.clockOut = body.clockOut === null ? null : parseTime(body.clockOut);
+    if (changes.clockOut === undefined) return { error: 'Invalid clock out date' };
+  }
+  if (changes.clockIn && changes.clockOut && changes.clockOut <= changes.clockIn) {
+    return { error: 'Clock out time must be after clock in time' };
+  }
+  if (body.isRemote !== undefined) {
+    changes.isRemote = Boolean(body.isRemote);
+  }
+  if (body.timezone !== undefined) {
+    changes.timezone = normalizeTimezone(body.timezone);
+    if (!changes.timezone) return { error: 'timezone must be an IANA zone name or a UTC offset' };
+  }
+  return { changes };
+}
+
+function sendCorrectionError(res, error, action) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'Employee already has an open shift' });
+  }
+  logger.error(`Error trying to ${action} punch:`, error.message);
+  res.status(500).json({ error: `Failed to ${action} punch` });
+}
+
+// Add a punch on an employee's behalf, e.g. for a missed clock-in
+app.post('/api/admin/punches', requireAdmin, async (req, res) => {
+  const { changes, error } = parseCorrection(req.body || {}, { requireClockIn: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!req.body.email) {
+    return res.status(400).json({ error: 'Employee email is required' });
+  }
 
   try {
-    // Get the company tokens from the database
-    const result = await pool.query('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
-    if (result.rows.length === 0) {
-      console.log('No company found in database');
-      return res.status(404).json({ error: 'No company found in database' });
+    const employee = await userHelpers.getUser(req.company.id, req.body.email);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
     }
 
-    const company = result.rows[0];
-    
-    // Get a valid Salesforce token
-    const accessToken = await getValidSalesforceToken(company);
+    const punch = await createPunch(req.company, req.user, {
+      ...changes,
+      clockOut: changes.clockOut || null,
+      userEmail: employee.email,
+      timezone: changes.timezone || null
+    });
+    logger.info('✏️ Punch created by admin:', { punchId: punch.id, actor: req.user.email });
+    res.status(201).json({ success: true, punch: serializePunch(punch) });
+  } catch (error) {
+    sendCorrectionError(res, error, 'create');
+  }
+});
 
-    // Query Salesforce for the user
-    const queryResponse = await axios.get(
-      `${company.salesforce_instance_url}/services/data/v59.0/query`,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-        },
-        params: {
-          q: `
-            SELECT Id, Name, Email__c
-            FROM Workpunch_User__c
-            WHERE Email__c = '${email}'
-            LIMIT 1
-          `
-        }
-      }
-    );
+// Correct the times, location type or zone of an existing punch
+app.patch('/api/admin/punches/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid punch id' });
+  }
+  const { changes, error } = parseCorrection(req.body || {}, { requireClockIn: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    if (queryResponse.data.records && queryResponse.data.records.length > 0) {
-      // User exists, update if needed
-      const user = queryResponse.data.records[0];
-      if (user.Name !== name) {
-        await axios.patch(
-          `${company.salesforce_instance_url}/services/data/v59.0/sobjects/Workpunch_User__c/${user.Id}`,
-          { Name: name },
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-      }
-      res.json({ success: true, salesforceId: user.Id });
-    } else {
-      // Create new user
-      const createResponse = await axios.post(
-        `${company.salesforce_instance_url}/services/data/v59.0/sobjects/Workpunch_User__c`,
-        {
-          Name: name,
-          Email__c: email
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      res.json({ success: true, salesforceId: createResponse.data.id });
-    }
-  } catch (error) {
-    console.error('Error syncing user data:', error.response?.data || error.message);
-    res.status(500).json({ error: 'Failed to sync user data' });
+  try {
+    const punch = await editPunch(req.company, req.user, id, changes);
+    logger.info('✏️ Punch edited by admin:', { punchId: punch.id, actor: req.user.email });
+    res.json({ success: true, punch: serializePunch(punch) });
+  } catch (error) {
+    sendCorrectionError(res, error, 'edit');
   }
 });
 
-// Add after other database setup
-async function acquireLock(userId) {
-  const lockId = uuidv4();
-  const result = await pool.query(
-    'INSERT INTO user_locks (user_id, lock_id, created_at) VALUES ($1, $2, NOW()) ON CONFLICT (user_id) DO NOTHING RETURNING lock_id',
-    [userId, lockId]
-  );
-  return result.rows[0]?.lock_id;
-}
+// Void a punch; it stops counting toward hours and is removed from Salesforce
+app.post('/api/admin/punches/:id/void', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid punch id' });
+  }
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
 
-async function releaseLock(userId) {
-  await pool.query('DELETE FROM user_locks WHERE user_id = $1', [userId]);
-}
+  try {
+    const punch = await voidPunch(req.company, req.user, id, reason);
+    logger.info('🚫 Punch voided by admin:', { punchId: punch.id, actor: req.user.email });
+    res.json({ success: true, punch: serializePunch(punch) });
+  } catch (error) {
+    sendCorrectionError(res, error, 'void');
+  }
+});
 
-// Add request tracking
-const requestTracker = new Map();
+// Every change ever made to a punch, oldest first
+app.get('/api/admin/punches/:id/history', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid punch id' });
+  }
 
-// Add after other functions
-async function refreshSalesforceToken(company) {
   try {
-    console.log('🔄 Refreshing Salesforce token...');
-    const response = await axios.post(
-      `${company.salesforce_instance_url}/services/oauth2/token`,
-      null,
-      {
-        params: {
-          grant_type: 'refresh_token',
-          client_id: process.env.SALESFORCE_CLIENT_ID,
-          client_secret: process.env.SALESFORCE_CLIENT_SECRET,
-          refresh_token: company.salesforce_refresh_token
-        }
-      }
-    );
+    const punch = await getPunchById(req.company.id, id);
+    if (!punch) {
+      return res.status(404).json({ error: 'Punch not found' });
+    }
+    res.json({ success: true, punch: serializePunch(punch), history: await getPunchHistory(req.company.id, id) });
+  } catch (error) {
+    logger.error('Error fetching punch history:', error.message);
+    res.status(500).json({ error: 'Failed to fetch punch history' });
+  }
+});
 
-    const { access_token } = response.data;
-    
-    // Update the token in the database
-    await pool.query(
-      'UPDATE companies SET salesforce_access_token = $1 WHERE id = $2',
-      [access_token, company.id]
-    );
+// Labor rules (rounding, unpaid breaks, overtime thresholds) used for computed hours
+app.get('/api/admin/labor-rules', requireAdmin, (req, res) => {
+  res.json({ success: true, rules: getLaborRules(req.company) });
+});
 
-    console.log('✅ Salesforce token refreshed successfully');
-    return access_token;
+// Update some or all labor rules; omitted rules keep their current values
+app.put('/api/admin/labor-rules', requireAdmin, async (req, res) => {
+  try {
+    const rules = validateLaborRules(req.body, getLaborRules(req.company));
+    await companyHelpers.updateLaborRules(req.company.id, rules);
+    logger.info('⚖️ Labor rules updated:', { companyId: req.company.public_id, rules });
+    res.json({ success: true, rules });
   } catch (error) {
-    console.error('❌ Failed to refresh Salesforce token:', error.message);
-    throw error;
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error updating labor rules:', error.message);
+    res.status(500).json({ error: 'Failed to update labor rules' });
+  }
+});
+
+// The system of record punches and users are written to
+app.get('/api/admin/sync-adapter', requireAdmin, (req, res) => {
+  const adapter = getAdapter(req.company);
+  res.json({
+    success: true,
+    adapter: adapter.name,
+    config: adapter.describeConfig(req.company),
+    available: Object.keys(ADAPTERS)
+  });
+});
+
+// Body: { adapter: 'salesforce' | 'rest' | 'local', config }
+app.put('/api/admin/sync-adapter', requireAdmin, async (req, res) => {
+  const { adapter: name, config } = req.body || {};
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    return res.status(400).json({ error: `adapter must be one of: ${Object.keys(ADAPTERS).join(', ')}` });
   }
-}
 
-// Add after other functions
-async function getValidSalesforceToken(company) {
   try {
-    // Try to use the existing token
-    const response = await axios.get(
-      `${company.salesforce_instance_url}/services/data/v59.0/sobjects/Workpunch__c/describe`,
-      {
-        headers: {
-          Authorization: `Bearer ${company.salesforce_access_token}`
-        }
-      }
-    );
-    return company.salesforce_access_token;
+    const switched = getAdapter(req.company) !== adapter;
+    const current = name === req.company.sync_adapter ? req.company.sync_adapter_config || {} : {};
+    const { company, requeued } = await changeSyncAdapter(req.company, name, adapter.validateConfig(config, current), { switched });
+    logger.info('🔌 Sync adapter updated:', { companyId: company.public_id, adapter: name, switched });
+    res.json({ success: true, adapter: name, config: adapter.describeConfig(company), requeued });
   } catch (error) {
-    if (error.response?.status === 401) {
-      // Token is invalid, refresh it
-      return await refreshSalesforceToken(company);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
-    throw error;
+    logger.error('Error updating sync adapter:', error.message);
+    res.status(500).json({ error: 'Failed to update sync adapter' });
   }
-}
+});
 
-// Modify the sync-clock endpoint to use token refresh
-app.post('/api/sync-clock', async (req, res) => {
-  const requestId = ++requestCount;
-  const { userId, clockIn, clockOut, isRemote, timezone } = req.body;
-
-  // Generate a unique request signature
-  const requestSignature = `${userId}-${clockIn}-${clockOut}-${isRemote}`;
-  
-  // Check if this exact request was processed recently (within 5 seconds)
-  const lastRequest = requestTracker.get(requestSignature);
-  if (lastRequest && Date.now() - lastRequest.timestamp < 5000) {
-    console.log(`⏭️ [Request ${requestId}] Skipping duplicate request - same signature processed recently:`, {
-      requestSignature,
-      lastProcessed: new Date(lastRequest.timestamp).toISOString(),
-      timeSinceLastRequest: Date.now() - lastRequest.timestamp
-    });
-    return res.status(200).json({ 
-      success: true, 
-      message: 'Request already being processed',
-      requestId: lastRequest.id
-    });
+// Check the connected org for the objects and fields punches are written to
+app.get('/api/admin/salesforce/schema', requireAdmin, async (req, res) => {
+  if (!req.company.salesforce_access_token) {
+    return res.status(409).json({ error: 'Salesforce is not connected' });
   }
 
-  // Try to acquire a lock
-  const lockId = await acquireLock(userId);
-  if (!lockId) {
-    console.log(`⏭️ [Request ${requestId}] Skipping duplicate request - lock exists`);
-    return res.status(200).json({ 
-      success: true, 
-      message: 'Request already being processed',
-      requestId
+  try {
+    const schema = await checkSchema(req.company);
+    if (schema.ok) {
+      await resumePunchEvents(req.company.id);
+    }
+    res.json({ success: true, schema, mapping: getFieldMapping(req.company) });
+  } catch (error) {
+    if (error.needsReconnect) {
+      return res.status(error.status).json({ error: error.message, needsReconnect: true });
+    }
+    logger.error('Error checking Salesforce schema:', describeError(error));
+    res.status(502).json({ error: 'Failed to describe Salesforce objects' });
+  }
+});
+
+// Body: { punch: { object, fields: { clockIn, ... } }, user: { ... } }
+// Anything left out uses the default object or field name; an empty body resets to defaults.
+app.put('/api/admin/salesforce/field-mapping', requireAdmin, async (req, res) => {
+  try {
+    const mapping = validateFieldMapping(req.body);
+    let company = await companyHelpers.updateSalesforceSchema(req.company.id, {
+      mapping: Object.keys(mapping).length > 0 ? mapping : null,
+      // The last check was against the old names
+      status: null
     });
+    logger.info('🗺️ Salesforce field mapping updated:', { companyId: company.public_id, mapping });
+
+    let schema = null;
+    if (company.salesforce_access_token) {
+      schema = await checkSchema(company);
+      company = { ...company, salesforce_schema_status: schema };
+    }
+    await resumePunchEvents(company.id);
+
+    res.json({ success: true, mapping: getFieldMapping(company), schema });
+  } catch (error) {
+    if (error.needsReconnect) {
+      return res.status(error.status).json({ error: error.message, needsReconnect: true });
+    }
+    if (error.expose) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error updating Salesforce field mapping:', describeError(error));
+    if (error.isAxiosError) {
+      return res.status(502).json({ error: 'Failed to check the field mapping against Salesforce' });
+    }
+    res.status(500).json({ error: 'Failed to update Salesforce field mapping' });
+  }
+});
+
+// Worksite geofences used to verify In-Person clock-ins
+app.get('/api/admin/geofences', requireAdmin, async (req, res) => {
+  try {
+    const fences = await listGeofences(req.company.id);
+    res.json({ success: true, geofences: fences.map(serializeGeofence) });
+  } catch (error) {
+    logger.error('Error fetching geofences:', error.message);
+    res.status(500).json({ error: 'Failed to fetch geofences' });
+  }
+});
+
+app.post('/api/admin/geofences', requireAdmin, async (req, res) => {
+  try {
+    const fence = await createGeofence(req.company.id, validateGeofence(req.body));
+    logger.info('📍 Geofence created:', { companyId: req.company.public_id, id: fence.id, name: fence.name });
+    res.status(201).json({ success: true, geofence: serializeGeofence(fence) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error creating geofence:', error.message);
+    res.status(500).json({ error: 'Failed to create geofence' });
   }
+});
 
-  // Track this request
-  requestTracker.set(requestSignature, {
-    id: requestId,
-    timestamp: Date.now()
+app.put('/api/admin/geofences/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid geofence id' });
+  }
+
+  try {
+    const fence = await updateGeofence(req.company.id, id, validateGeofence(req.body));
+    if (!fence) {
+      return res.status(404).json({ error: 'Geofence not found' });
+    }
+    logger.info('📍 Geofence updated:', { companyId: req.company.public_id, id, name: fence.name });
+    res.json({ success: true, geofence: serializeGeofence(fence) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error updating geofence:', error.message);
+    res.status(500).json({ error: 'Failed to update geofence' });
+  }
+});
+
+app.delete('/api/admin/geofences/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid geofence id' });
+  }
+
+  try {
+    if (!(await deleteGeofence(req.company.id, id))) {
+      return res.status(404).json({ error: 'Geofence not found' });
+    }
+    logger.info('📍 Geofence deleted:', { companyId: req.company.public_id, id });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting geofence:', error.message);
+    res.status(500).json({ error: 'Failed to delete geofence' });
+  }
+});
+
+// Payroll export: one row per employee per day for the pay period [from, to),
+// streamed as CSV or as an Excel workbook (format=xlsx)
+app.get('/api/exports/timesheet', requireAdmin, async (req, res) => {
+  const { from, to, format = 'csv' } = req.query;
+
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+  if (!from || !to || isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || toDate <= fromDate) {
+    return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const filename = `timesheet-${fromDate.toISOString().slice(0, 10)}-to-${toDate.toISOString().slice(0, 10)}.${format}`;
+  res.set({
+    'Content-Type': format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
   });
 
-  // Clean up old tracked requests (older than 1 minute)
-  for (const [sig, data] of requestTracker.entries()) {
-    if (Date.now() - data.timestamp > 60000) {
-      requestTracker.delete(sig);
+  try {
+    await writeTimesheet(req.company.id, { from: fromDate, to: toDate }, getLaborRules(req.company), format, res);
+  } catch (error) {
+    logger.error('Error exporting timesheet:', error.message);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export timesheet' });
+    }
+    // Part of the file is already out; cut the response so the download visibly fails
+    res.destroy(error);
+  }
+});
+
+// Pull Workpunch__c records that predate the local punch store into it,
+// optionally limited to punches clocked in between from and to
+app.post('/api/admin/import-punches', requireAdmin, async (req, res) => {
+  const adapter = getAdapter(req.company);
+  if (!adapter.isConnected(req.company)) {
+    return res.status(404).json({ error: `No ${adapter.name} connection found` });
+  }
+
+  const from = req.body?.from ? new Date(req.body.from) : undefined;
+  const to = req.body?.to ? new Date(req.body.to) : undefined;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+
+  // Records do not carry a zone, so the admin says which one they are in
+  const timezone = req.body?.timezone ? normalizeTimezone(req.body.timezone) : null;
+  if (req.body?.timezone && !timezone) {
+    return res.status(400).json({ error: 'timezone must be an IANA zone name or a UTC offset' });
+  }
+
+  try {
+    const records = await adapter.listPunches(req.company, { from, to });
+    // Audited as an import, run by the admin who started it
+    const actor = { email: req.user.email, role: 'import' };
+    const result = await importPunches(req.company.id, records, { timezone, actor });
+    logger.info('📥 Imported punches:', { companyId: req.company.public_id, adapter: adapter.name, ...result });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.needsReconnect) {
+      return res.status(error.status).json({ error: error.message, needsReconnect: true });
     }
+    logger.error('Error importing punches from Salesforce:', describeError(error));
+    res.status(500).json({ error: 'Failed to import punches from Salesforce' });
   }
+});
+
+// How long /api/sync-user waits for a sync of the same user already in progress
+const USER_SYNC_LOCK_WAIT = 10 * 1000;
+
+// Sync user data endpoint
+app.post('/api/sync-user', requireEmployee, async (req, res) => {
+  // The user is always the one the session was issued to
+  const { name } = req.body;
+  const { email } = req.user;
+  const company = req.company;
+  const adapter = getAdapter(company);
+  logger.info('Syncing user data:', { companyId: company.public_id, adapter: adapter.name, name, email });
 
-  console.log(`🔄 [Request ${requestId}] Sync clock request received:`, {
+  try {
+    // Find-or-create isn't atomic in the external system; two syncs at once could
+    // create the user twice
+    const externalId = await withUserLock(
+      userLockKey(company, email),
+      signal => adapter.upsertUser(company, { email, name }, { signal }),
+      { wait: USER_SYNC_LOCK_WAIT }
+    );
+    await emitWebhookEvent(company, 'user.synced', { email, name, adapter: adapter.name, externalId });
+    res.json({
+      success: true,
+      adapter: adapter.name,
+      externalId,
+      ...(adapter.name === 'salesforce' && { salesforceId: externalId })
+    });
+  } catch (error) {
+    if (error.needsReconnect) {
+      return res.status(error.status).json({ error: error.message, needsReconnect: true });
+    }
+    if (error.locked) {
+      res.set('Retry-After', '5');
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error syncing user data:', describeError(error));
+    await emitWebhookEvent(company, 'sync.failed', { kind: 'user', adapter: adapter.name, email, error: error.message });
+    res.status(500).json({ error: 'Failed to sync user data' });
+  }
+});
+
+// Record a punch in the local store. The background worker mirrors it to Salesforce,
+// so the client gets a 202 even while Salesforce is unreachable.
+app.post('/api/sync-clock', requireEmployee, async (req, res) => {
+  const { clockIn, clockOut, isRemote, timezone, location } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+  const userId = req.user.email;
+  const company = req.company;
+
+  logger.info('🔄 Sync clock request received:', {
+    companyId: company.public_id,
     userId,
     clockIn,
     clockOut,
     isRemote,
     timezone,
-    timestamp: new Date().toISOString(),
-    requestSignature,
-    activeRequests: requestTracker.size
+    hasLocation: Boolean(location),
+    idempotencyKey
   });
 
+  if (!idempotencyKey) {
+    return res.status(400).json({ error: 'Idempotency-Key header is required' });
+  }
+
+  // A missing or null clockOut means a clock-in; any other value has to be a time
+  const clockInDate = parseTime(clockIn);
+  const clockOutDate = clockOut === undefined || clockOut === null ? null : parseTime(clockOut);
+
+  // Validate dates
+  if (!clockInDate) {
+    logger.info('❌ Invalid clock in date:', clockIn);
+    return res.status(400).json({ error: 'Invalid clock in date' });
+  }
+  if (clockOutDate === undefined) {
+    logger.info('❌ Invalid clock out date:', clockOut);
+    return res.status(400).json({ error: 'Invalid clock out date' });
+  }
+
+  // Ensure clock out is after clock in
+  if (clockOutDate && clockOutDate <= clockInDate) {
+    logger.info('❌ Clock out time must be after clock in time:', {
+      clockIn: clockInDate.toISOString(),
+      clockOut: clockOutDate.toISOString()
+    });
+    return res.status(400).json({ error: 'Clock out time must be after clock in time' });
+  }
+
+  // The shift's zone is fixed at clock-in; a clock-out may omit it
+  const shiftTimezone = normalizeTimezone(timezone);
+  if ((timezone || !clockOutDate) && !shiftTimezone) {
+    logger.info('❌ Unknown timezone:', timezone);
+    return res.status(400).json({ error: 'timezone must be an IANA zone name (e.g. America/Chicago) or a UTC offset (e.g. +05:30)' });
+  }
+
+  // Device coordinates; In-Person vs Remote is decided from these, not from isRemote
+  let deviceLocation;
+  try {
+    deviceLocation = parseLocation(location);
+  } catch (error) {
+    logger.info(`❌ ${error.message}`);
+    return res.status(error.status).json({ error: error.message });
+  }
+
   try {
-    // Get the company tokens from the database
-    const result = await pool.query('SELECT * FROM companies ORDER BY created_at DESC LIMIT 1');
-    if (result.rows.length === 0) {
-      console.log(`❌ [Request ${requestId}] No company found in database`);
-      return res.status(404).json({ error: 'No company found in database' });
-    }
-
-    const company = result.rows[0];
-    
-    // Get a valid Salesforce token
-    const accessToken = await getValidSalesforceToken(company);
-    
-    // Extract name from email (everything before @)
-    const personName = userId.split('@')[0];
-    
-    // Parse the dates using the phone's local time
-    const clockInDate = new Date(clockIn);
-    const clockOutDate = clockOut ? new Date(clockOut) : null;
-
-    console.log(`📅 [Request ${requestId}] Parsed dates:`, {
-      clockInDate: clockInDate.toLocaleString(),
-      clockOutDate: clockOutDate ? clockOutDate.toLocaleString() : null,
-      clockInISO: clockInDate.toISOString(),
-      clockOutISO: clockOutDate ? clockOutDate.toISOString() : null
+    const result = await recordPunch(company, req.user, {
+      idempotencyKey,
+      clockIn: clockInDate,
+      clockOut: clockOutDate,
+      isRemote,
+      timezone: shiftTimezone,
+      location: deviceLocation
     });
 
-    // Validate dates
-    if (isNaN(clockInDate.getTime())) {
-      console.log(`❌ [Request ${requestId}] Invalid clock in date:`, clockIn);
-      return res.status(400).json({ error: 'Invalid clock in date' });
-    }
-    if (clockOutDate && isNaN(clockOutDate.getTime())) {
-      console.log(`❌ [Request ${requestId}] Invalid clock out date:`, clockOut);
-      return res.status(400).json({ error: 'Invalid clock out date' });
+    if (result.alreadyClockedIn) {
+      logger.info('ℹ️ Found existing active clock-in:', result.punch.id);
+      return res.status(200).json({
+        success: true,
+        message: 'Already clocked in',
+        existingRecord: serializePunch(result.punch)
+      });
     }
 
-    // Ensure clock out is after clock in
-    if (clockOutDate && clockOutDate <= clockInDate) {
-      console.log(`❌ [Request ${requestId}] Clock out time must be after clock in time:`, {
-        clockIn: clockInDate.toLocaleString(),
-        clockOut: clockOutDate.toLocaleString()
-      });
-      return res.status(400).json({ error: 'Clock out time must be after clock in time' });
-    }
-    
-    // Format date as YYYY-MM-DD using the phone's local time
-    const year = clockInDate.getFullYear();
-    const month = String(clockInDate.getMonth() + 1).padStart(2, '0');
-    const day = String(clockInDate.getDate()).padStart(2, '0');
-    const dateStr = `${year}-${month}-${day}`;
-
-    // Convert timezone abbreviation to IANA format
-    const ianaTimezone = TIMEZONE_MAP[timezone] || 'America/New_York'; // Default to Eastern if unknown
-    console.log(`🌍 [Request ${requestId}] Using timezone:`, { original: timezone, iana: ianaTimezone });
-    
-    // If clocking out, find and update the existing record
-    if (clockOut) {
-      console.log(`🔍 [Request ${requestId}] Looking for existing clock-in record to update...`);
-      // Query Salesforce for the most recent record for this user that doesn't have a clock out time
-      const queryResponse = await axios.get(
-        `${company.salesforce_instance_url}/services/data/v59.0/query`,
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-          },
-          params: {
-            q: `
-              SELECT Id, Punch_In_Time__c, Name
-              FROM Workpunch__c 
-              WHERE Employee_Email__c = '${userId}'
-              AND Punch_Out_Time__c = null
-              ORDER BY Punch_In_Time__c DESC 
-              LIMIT 1
-            `
-          }
-        }
-      );
-
-      console.log(`📊 [Request ${requestId}] Query response:`, {
-        recordCount: queryResponse.data.records?.length || 0,
-        records: queryResponse.data.records
+    const { event, punch, replayed } = result;
+    if (replayed) {
+      // A resubmitted key must describe the same punch it was first used for
+      if (!isSameSubmission(event, { clockIn: clockInDate, clockOut: clockOutDate })) {
+        logger.info('❌ Idempotency key reused for a different punch');
+        return res.status(409).json({ error: 'Idempotency key already used for a different punch' });
+      }
+      logger.info(`⏭️ Replayed punch ${punch.id} (${event.status})`);
+    } else {
+      logger.info(`📥 Punch ${punch.id} recorded, queued for Salesforce`);
+      if (punch.location_flagged_at) {
+        logger.info(`🚩 In-Person claim not verified (${punch.location_verification}), flagged for review`);
+      }
+      await emitWebhookEvent(company, clockOutDate ? 'punch.clock_out' : 'punch.clock_in', {
+        userId,
+        punch: serializePunch(punch)
       });
+      await publishPresence(punch, clockOutDate ? 'clock_out' : 'clock_in');
+    }
 
-      if (queryResponse.data.records && queryResponse.data.records.length > 0) {
-        const record = queryResponse.data.records[0];
-        const existingClockIn = new Date(record.Punch_In_Time__c);
-        
-        console.log(`⏰ [Request ${requestId}] Comparing times:`, {
-          existingClockIn: existingClockIn.toLocaleString(),
-          newClockIn: clockInDate.toLocaleString(),
-          timeDifference: Math.abs(existingClockIn - clockInDate)
-        });
-
-        // Verify this is the correct record to update
-        if (Math.abs(existingClockIn - clockInDate) > 60000) { // More than 1 minute difference
-          console.log(`❌ [Request ${requestId}] Clock in time mismatch`);
-          return res.status(400).json({ error: 'Clock in time mismatch' });
-        }
-
-        // Update the existing record
-        const recordId = record.Id;
-        console.log(`📝 [Request ${requestId}] Updating record:`, recordId);
-        try {
-          const updateResponse = await axios.patch(
-            `${company.salesforce_instance_url}/services/data/v59.0/sobjects/Workpunch__c/${recordId}`,
-            {
-              Punch_Out_Time__c: clockOutDate.toISOString()
-            },
-            {
-              headers: {
-                Authorization: `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-          console.log(`✅ [Request ${requestId}] Record updated successfully:`, updateResponse.data);
-          return res.status(200).json({ success: true, salesforceId: recordId });
-        } catch (error) {
-          console.error(`❌ [Request ${requestId}] Failed to update record:`, {
-            error: error.message,
-            response: error.response?.data
-          });
-          return res.status(500).json({ error: 'Failed to update record in Salesforce' });
-        }
-      } else {
-        console.log(`❌ [Request ${requestId}] No active clock-in record found to update`);
-        return res.status(404).json({ error: 'No active clock-in record found to update' });
-      }
+    res.status(event.status === 'pending' ? 202 : 200).json({
+      success: true,
+      punch: serializePunch(punch),
+      sync: serializePunchEvent(event)
+    });
+  } catch (error) {
+    if (error.status) {
+      logger.info(`❌ ${error.message}`);
+      return res.status(error.status).json({ error: error.message });
     }
+    logger.error('❌ Failed to record punch:', error.message);
+    res.status(500).json({ error: 'Failed to record punch' });
+  }
+});
 
-    // Only create a new record if we're clocking in
-    if (!clockOut) {
-      console.log(`🔍 [Request ${requestId}] Checking for existing active clock-in...`);
-      // Check if there's already an active clock-in
-      const activeCheckResponse = await axios.get(
-        `${company.salesforce_instance_url}/services/data/v59.0/query`,
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-          },
-          params: {
-            q: `
-              SELECT Id, Punch_In_Time__c, Location_Type__c, Name
-              FROM Workpunch__c 
-              WHERE Employee_Email__c = '${userId}'
-              AND Punch_Out_Time__c = null
-              ORDER BY Punch_In_Time__c DESC
-              LIMIT 1
-            `
-          }
-        }
-      );
-
-      console.log(`📊 [Request ${requestId}] Active check response:`, {
-        recordCount: activeCheckResponse.data.records?.length || 0,
-        records: activeCheckResponse.data.records
-      });
+// Sync status of one of the caller's punches, looked up by its idempotency key
+app.get('/api/sync-clock/:idempotencyKey', requireEmployee, async (req, res) => {
+  try {
+    const event = await getPunchEvent(req.company.id, req.user.email, req.params.idempotencyKey);
+    if (!event) {
+      return res.status(404).json({ error: 'Punch not found' });
+    }
+    const punch = await getPunchById(req.company.id, event.punch_id);
+    res.json({ success: true, punch: serializePunch(punch), sync: serializePunchEvent(event) });
+  } catch (error) {
+    logger.error('Error fetching punch status:', error.message);
+    res.status(500).json({ error: 'Failed to fetch punch status' });
+  }
+});
 
-      if (activeCheckResponse.data.records && activeCheckResponse.data.records.length > 0) {
-        const existingRecord = activeCheckResponse.data.records[0];
-        console.log(`ℹ️ [Request ${requestId}] Found existing active clock-in:`, {
-          id: existingRecord.Id,
-          name: existingRecord.Name,
-          punchInTime: existingRecord.Punch_In_Time__c,
-          locationType: existingRecord.Location_Type__c
-        });
-
-        // Return success with existing record info
-        return res.status(200).json({
-          success: true,
-          message: 'Already clocked in',
-          existingRecord: {
-            id: existingRecord.Id,
-            name: existingRecord.Name,
-            punchInTime: existingRecord.Punch_In_Time__c,
-            locationType: existingRecord.Location_Type__c
-          }
-        });
-      }
+// Admin view of the company's Salesforce sync queue, optionally filtered by status
+app.get('/api/punch-queue', requireAdmin, async (req, res) => {
+  const { status } = req.query;
+  if (status && !PUNCH_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${PUNCH_STATUSES.join(', ')}` });
+  }
 
-      const recordPayload = {
-        Name: `${personName}-${dateStr}`,
-        Punch_In_Time__c: clockInDate.toISOString(),
-        Punch_Out_Time__c: null,
-        Location_Type__c: isRemote ? 'Remote' : 'In-Person',
-        Employee_Email__c: userId
-      };
-
-      console.log(`📝 [Request ${requestId}] Creating new record:`, recordPayload);
-      try {
-        const response = await axios.post(
-          `${company.salesforce_instance_url}/services/data/v59.0/sobjects/Workpunch__c`,
-          recordPayload,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        console.log(`✅ [Request ${requestId}] Record created successfully:`, response.data.id);
-        res.status(200).json({ success: true, salesforceId: response.data.id });
-      } catch (error) {
-        console.error(`❌ [Request ${requestId}] Failed to create record:`, {
-          error: error.message,
-          response: error.response?.data
-        });
-        res.status(500).json({ error: 'Failed to create record in Salesforce' });
-      }
+  try {
+    const events = await listPunchEvents(req.company.id, { status });
+    res.json({ success: true, events: events.map(serializePunchEvent) });
+  } catch (error) {
+    logger.error('Error listing punch queue:', error.message);
+    res.status(500).json({ error: 'Failed to list punch queue' });
+  }
+});
+
+// Send a failed sync back through the worker
+app.post('/api/punch-queue/:id/retry', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid event id' });
+  }
+
+  try {
+    const event = await retryPunchEvent(req.company.id, id);
+    if (!event) {
+      return res.status(404).json({ error: 'No failed sync found' });
     }
+    res.status(202).json({ success: true, sync: serializePunchEvent(event) });
   } catch (error) {
-    console.error(`❌ [Request ${requestId}] Salesforce sync error:`, {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status
-    });
-    res.status(500).json({ error: 'Failed to sync to Salesforce' });
-  } finally {
-    // Release the lock
-    await releaseLock(userId);
-    // Remove from request tracker
-    requestTracker.delete(requestSignature);
+    logger.error('Error retrying punch sync:', error.message);
+    res.status(500).json({ error: 'Failed to retry punch sync' });
+  }
+});
+
+// Changes made directly in the system of record that clashed with local ones
+app.get('/api/admin/sync-conflicts', requireAdmin, async (req, res) => {
+  const { status } = req.query;
+  if (status && !CONFLICT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${CONFLICT_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const conflicts = await listSyncConflicts(req.company.id, { status });
+    res.json({ success: true, conflicts: conflicts.map(serializeSyncConflict) });
+  } catch (error) {
+    logger.error('Error listing sync conflicts:', error.message);
+    res.status(500).json({ error: 'Failed to list sync conflicts' });
+  }
+});
+
+// Body: { keep: 'local' | 'remote', reason }
+app.post('/api/admin/sync-conflicts/:id/resolve', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid conflict id' });
+  }
+  const { keep } = req.body || {};
+  if (keep !== 'local' && keep !== 'remote') {
+    return res.status(400).json({ error: "keep must be 'local' or 'remote'" });
+  }
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  try {
+    const conflict = await resolveSyncConflict(req.company, req.user, id, { keep, reason });
+    logger.info('⚖️ Sync conflict resolved:', { conflictId: conflict.id, keep, actor: req.user.email });
+    res.json({ success: true, conflict: serializeSyncConflict(conflict) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error resolving sync conflict:', error.message);
+    res.status(500).json({ error: 'Failed to resolve sync conflict' });
+  }
+});
+
+// Who is clocked in right now, with how long they have been on shift
+app.get('/api/presence', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, ...await getPresenceSnapshot(req.company.id) });
+  } catch (error) {
+    logger.error('Error fetching presence:', error.message);
+    res.status(500).json({ error: 'Failed to fetch presence' });
+  }
+});
+
+// The same as a live Server-Sent Events stream. It needs the Authorization header,
+// so browsers read it with fetch rather than EventSource.
+app.get('/api/presence/stream', requireAdmin, async (req, res) => {
+  try {
+    await streamPresence(req, res);
+  } catch (error) {
+    logger.error('Error starting presence stream:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to start presence stream' });
+    }
+  }
+});
+
+// Webhook subscriptions: HMAC-signed POSTs to other tools when punch and sync events happen
+app.get('/api/admin/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions(req.company.id);
+    res.json({ success: true, webhooks: subscriptions.map(serializeSubscription) });
+  } catch (error) {
+    logger.error('Error listing webhooks:', error.message);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// Body: { url, events, description? }. The signing secret is only returned here.
+app.post('/api/admin/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const { subscription, secret } = await createSubscription(req.company.id, req.user, req.body);
+    logger.info('🪝 Webhook created:', { companyId: req.company.public_id, id: subscription.id, events: subscription.events });
+    res.status(201).json({ success: true, webhook: serializeSubscription(subscription), secret });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error creating webhook:', error.message);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Body: any of { url, events, description, active }
+app.put('/api/admin/webhooks/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid webhook id' });
+  }
+
+  try {
+    const subscription = await updateSubscription(req.company.id, id, req.body);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: true, webhook: serializeSubscription(subscription) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error updating webhook:', error.message);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.delete('/api/admin/webhooks/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid webhook id' });
+  }
+
+  try {
+    if (!await deleteSubscription(req.company.id, id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    logger.info('🪝 Webhook deleted:', { companyId: req.company.public_id, id });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting webhook:', error.message);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Replace the signing secret; deliveries from now on are signed with the new one
+app.post('/api/admin/webhooks/:id/rotate-secret', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid webhook id' });
+  }
+
+  try {
+    const rotated = await rotateSubscriptionSecret(req.company.id, id);
+    if (!rotated) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    logger.info('🪝 Webhook secret rotated:', { companyId: req.company.public_id, id });
+    res.json({ success: true, webhook: serializeSubscription(rotated.subscription), secret: rotated.secret });
+  } catch (error) {
+    logger.error('Error rotating webhook secret:', error.message);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// Delivery log for one subscription, newest first, optionally filtered by status
+app.get('/api/admin/webhooks/:id/deliveries', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid webhook id' });
+  }
+  const { status } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const deliveries = await listDeliveries(req.company.id, id, { status });
+    res.json({ success: true, deliveries: deliveries.map(serializeDelivery) });
+  } catch (error) {
+    logger.error('Error listing webhook deliveries:', error.message);
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+});
+
+// Send a delivery again, whatever its outcome was
+app.post('/api/admin/webhook-deliveries/:id/redeliver', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid delivery id' });
+  }
+
+  try {
+    const delivery = await redeliver(req.company.id, id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.status(202).json({ success: true, delivery: serializeDelivery(delivery) });
+  } catch (error) {
+    logger.error('Error redelivering webhook:', error.message);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
   }
 });
 
 // Salesforce connection endpoint
-app.post('/api/connect-salesforce', async (req, res) => {
-  console.log('🔗 Connect Salesforce endpoint hit');
+app.post('/api/connect-salesforce', requireAdmin, async (req, res) => {
+  logger.info('🔗 Connect Salesforce endpoint hit');
 
   try {
-    // Use fixed auth URL
-    const authUrl = 'https://login.salesforce.com/services/oauth2/authorize?response_type=code&client_id=3MVG9rZjd7MXFdLiWCf59z4DCGjghAZlWF7KXeBOX3mOvmrPJNArejq_0VHz1HuSTj.gZZ2KrlSLTekQYmEf8&redirect_uri=https%3A%2F%2Fworkpunch-server.fly.dev%2Fapi%2Fcallback&scope=api%20refresh_token';
+    const company = req.company;
+
+    // Body: { environment: 'production' | 'sandbox' } or { myDomain: 'acme.my.salesforce.com' }
+    const { authUrl, loginHost } = await createAuthorizeUrl(company, req.user, req.body || {});
 
     res.json({
       success: true,
+      companyId: company.public_id,
+      loginHost,
       authUrl: authUrl
     });
   } catch (error) {
-    console.error('Error generating auth URL:', error);
+    if (error.expose) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error generating auth URL:', describeError(error));
     res.status(500).json({ error: 'Failed to generate authorization URL' });
   }
 });
 
+// Revoke the company's Salesforce tokens and disconnect the org
+app.post('/api/disconnect-salesforce', requireAdmin, async (req, res) => {
+  if (!req.company.salesforce_access_token) {
+    return res.status(404).json({ error: 'No Salesforce connection found' });
+  }
+
+  try {
+    await disconnect(req.company);
+    logger.info('🔌 Salesforce disconnected:', { companyId: req.company.public_id, by: req.user.email });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error disconnecting Salesforce:', error.message);
+    res.status(502).json({ error: 'Failed to revoke Salesforce tokens' });
+  }
+});
+
 // Verify Salesforce connection status
-app.get('/api/verify-salesforce-connection', async (req, res) => {
-  console.log('🔍 Verify Salesforce connection endpoint hit');
+app.get('/api/verify-salesforce-connection', requireEmployee, async (req, res) => {
+  logger.info('🔍 Verify Salesforce connection endpoint hit');
 
   try {
-    const tokens = await tokenHelpers.getTokens();
-    
-    if (!tokens || !tokens.access_token) {
-      console.log('No valid connection found');
+    const status = connectionStatus(req.company);
+
+    if (status.needsReconnect) {
+      logger.info('⚠️ Salesforce connection needs to be re-authorized:', status.reason);
+      return res.status(200).json({
+        ...status,
+        message: 'Salesforce connection needs to be re-authorized'
+      });
+    }
+
+    if (!status.connected) {
+      logger.info('No valid connection found');
       return res.status(200).json({
-        connected: false,
+        ...status,
         message: 'Not connected to Salesforce'
       });
     }
 
-    console.log('✅ Salesforce connection found');
+    logger.info('✅ Salesforce connection found');
     return res.status(200).json({
-      connected: true,
+      ...status,
       message: 'Connected to Salesforce'
     });
   } catch (error) {
-    console.error('Error checking Salesforce connection:', error);
+    logger.error('Error checking Salesforce connection:', describeError(error));
     return res.status(500).json({
       connected: false,
       message: 'Error checking connection'
@@ -765,26 +1416,18 @@ app.get('/api/verify-salesforce-connection', async (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Global error handler:', {
+  logger.error('Global error handler', {
     error: err.message,
     stack: err.stack,
-    url: req.url,
-    method: req.method,
-    timestamp: new Date().toISOString()
+    url: redactUrl(req.originalUrl),
+    method: req.method
   });
   res.status(500).json({ error: 'Something broke!' });
 });
 
 // 404 handler - must be after all other routes
 app.use((req, res) => {
-  console.log('404 Not Found:', {
-    method: req.method,
-    url: req.url,
-    path: req.path,
-    originalUrl: req.originalUrl,
-    headers: req.headers,
-    timestamp: new Date().toISOString()
-  });
+  logger.info('404 Not Found', { method: req.method, url: redactUrl(req.originalUrl) });
   res.status(404).send('Not Found');
 });
 
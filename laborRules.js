@@ -0,0 +1,269 @@
+const { DEFAULT_TIMEZONE, localDate, addDays, weekStart, startOfLocalDay } = require('./timezone');
+
+const MIDNIGHT_HANDLING = ['clock_in_day', 'split'];
+const OPEN_SHIFT_ACTIONS = ['flag', 'auto_close'];
+
+// Rules used until a company configures its own. Hours thresholds of null disable
+// that kind of overtime. Shifts left open longer than maxShiftHours are either flagged
+// for review or closed autoCloseShiftHours after they began, per openShiftAction.
+const DEFAULT_LABOR_RULES = {
+  roundingMinutes: 0,
+  unpaidBreakMinutes: 0,
+  unpaidBreakAfterHours: 6,
+  dailyOvertimeHours: null,
+  dailyDoubleTimeHours: null,
+  weeklyOvertimeHours: 40,
+  weekStartsOn: 1,
+  midnightHandling: 'clock_in_day',
+  maxShiftHours: 16,
+  openShiftAction: 'flag',
+  autoCloseShiftHours: 8
+};
+
+function rulesError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// The rules a company has configured, filled in with defaults
+function getLaborRules(company) {
+  return { ...DEFAULT_LABOR_RULES, ...(company.labor_rules || {}) };
+}
+
+// Merge a partial rules object over the current rules, rejecting anything invalid
+function validateLaborRules(input, current = DEFAULT_LABOR_RULES) {
+  const rules = { ...DEFAULT_LABOR_RULES, ...current };
+
+  for (const [key, value] of Object.entries(input || {})) {
+    if (!(key in DEFAULT_LABOR_RULES)) {
+      throw rulesError(`Unknown labor rule: ${key}`);
+    }
+    rules[key] = value;
+  }
+
+  const nonNegative = ['roundingMinutes', 'unpaidBreakMinutes', 'unpaidBreakAfterHours'];
+  for (const key of nonNegative) {
+    if (typeof rules[key] !== 'number' || rules[key] < 0) {
+      throw rulesError(`${key} must be a non-negative number`);
+    }
+  }
+  if (rules.roundingMinutes > 60) {
+    throw rulesError('roundingMinutes must be at most 60');
+  }
+
+  const thresholds = ['dailyOvertimeHours', 'dailyDoubleTimeHours', 'weeklyOvertimeHours', 'maxShiftHours'];
+  for (const key of thresholds) {
+    if (rules[key] !== null && (typeof rules[key] !== 'number' || rules[key] <= 0)) {
+      throw rulesError(`${key} must be a positive number or null`);
+    }
+  }
+  if (rules.dailyOvertimeHours !== null && rules.dailyDoubleTimeHours !== null
+    && rules.dailyDoubleTimeHours <= rules.dailyOvertimeHours) {
+    throw rulesError('dailyDoubleTimeHours must be greater than dailyOvertimeHours');
+  }
+
+  if (!Number.isInteger(rules.weekStartsOn) || rules.weekStartsOn < 0 || rules.weekStartsOn > 6) {
+    throw rulesError('weekStartsOn must be 0 (Sunday) through 6 (Saturday)');
+  }
+  if (!MIDNIGHT_HANDLING.includes(rules.midnightHandling)) {
+    throw rulesError(`midnightHandling must be one of: ${MIDNIGHT_HANDLING.join(', ')}`);
+  }
+
+  if (!OPEN_SHIFT_ACTIONS.includes(rules.openShiftAction)) {
+    throw rulesError(`openShiftAction must be one of: ${OPEN_SHIFT_ACTIONS.join(', ')}`);
+  }
+  if (typeof rules.autoCloseShiftHours !== 'number' || rules.autoCloseShiftHours <= 0) {
+    throw rulesError('autoCloseShiftHours must be a positive number');
+  }
+  if (rules.maxShiftHours !== null && rules.autoCloseShiftHours > rules.maxShiftHours) {
+    throw rulesError('autoCloseShiftHours must not exceed maxShiftHours');
+  }
+
+  return rules;
+}
+
+const HOUR = 1000 * 60 * 60;
+
+function roundTime(date, minutes) {
+  if (!minutes) return date;
+  const unit = minutes * 60 * 1000;
+  return new Date(Math.round(date.getTime() / unit) * unit);
+}
+
+// Cut a shift into the pieces that fall on each workday
+function workdaySegments(start, end, timezone, rules) {
+  const startDate = localDate(start, timezone);
+  if (rules.midnightHandling !== 'split') {
+    return [{ date: startDate, start, end }];
+  }
+
+  const segments = [];
+  let date = startDate;
+  let segmentStart = start;
+  for (;;) {
+    const nextDate = addDays(date, 1);
+    const midnight = startOfLocalDay(nextDate, timezone);
+    if (end <= midnight) {
+      segments.push({ date, start: segmentStart, end });
+      return segments;
+    }
+    segments.push({ date, start: segmentStart, end: midnight });
+    date = nextDate;
+    segmentStart = midnight;
+  }
+}
+
+const emptyTotals = () => ({
+  workedHours: 0,
+  regularHours: 0,
+  overtimeHours: 0,
+  doubleTimeHours: 0
+});
+
+function addTotals(target, hours) {
+  target.workedHours += hours.workedHours;
+  target.regularHours += hours.regularHours;
+  target.overtimeHours += hours.overtimeHours;
+  target.doubleTimeHours += hours.doubleTimeHours;
+}
+
+const roundHours = hours => Math.round(hours * 100) / 100;
+
+function roundTotals(totals) {
+  const rounded = { ...totals };
+  for (const key of Object.keys(emptyTotals())) {
+    rounded[key] = roundHours(totals[key]);
+  }
+  for (const key of ['remoteHours', 'inPersonHours']) {
+    if (key in totals) rounded[key] = roundHours(totals[key]);
+  }
+  return rounded;
+}
+
+// Classify one employee's worked time as regular, overtime and double time.
+// Returns totals per shift (keyed by punch id), per workday and per week, plus the
+// grand total. Open shifts are listed on their workday but carry no hours.
+function computeHours(punches, rules = DEFAULT_LABOR_RULES) {
+  const segments = [];
+  const shifts = new Map();
+  const days = new Map();
+
+  const dayFor = (date, timezone) => {
+    if (!days.has(date)) {
+      days.set(date, {
+        date,
+        timezone,
+        weekStart: weekStart(date, rules.weekStartsOn),
+        firstStart: null,
+        lastEnd: null,
+        remoteHours: 0,
+        inPersonHours: 0,
+        ...emptyTotals()
+      });
+    }
+    return days.get(date);
+  };
+
+  for (const punch of punches) {
+    const timezone = punch.timezone || DEFAULT_TIMEZONE;
+    const clockIn = roundTime(new Date(punch.clock_in), rules.roundingMinutes);
+    shifts.set(punch.id, emptyTotals());
+
+    if (!punch.clock_out) {
+      const day = dayFor(localDate(clockIn, timezone), timezone);
+      if (!day.firstStart || clockIn < day.firstStart) day.firstStart = clockIn;
+      continue;
+    }
+
+    const clockOut = roundTime(new Date(punch.clock_out), rules.roundingMinutes);
+    const duration = Math.max(0, clockOut - clockIn) / HOUR;
+    if (duration === 0) continue;
+
+    // Unpaid break comes off shifts long enough to require one, spread across
+    // the shift's workdays in proportion to their length
+    const breakHours = rules.unpaidBreakMinutes > 0 && duration >= rules.unpaidBreakAfterHours
+      ? Math.min(rules.unpaidBreakMinutes / 60, duration)
+      : 0;
+    const paidRatio = (duration - breakHours) / duration;
+
+    for (const segment of workdaySegments(clockIn, clockOut, timezone, rules)) {
+      segments.push({
+        ...segment,
+        punch,
+        timezone,
+        hours: ((segment.end - segment.start) / HOUR) * paidRatio
+      });
+    }
+  }
+
+  // Allocate hours in chronological order: daily thresholds first, then the weekly
+  // threshold on whatever is still regular time
+  segments.sort((a, b) => a.start - b.start);
+  const weeklyRegular = new Map();
+
+  for (const segment of segments) {
+    const day = dayFor(segment.date, segment.timezone);
+    const before = day.workedHours;
+    const after = before + segment.hours;
+
+    const doubleTime = rules.dailyDoubleTimeHours !== null
+      ? Math.max(0, after - Math.max(before, rules.dailyDoubleTimeHours))
+      : 0;
+    const overtimeCap = rules.dailyDoubleTimeHours !== null ? rules.dailyDoubleTimeHours : Infinity;
+    let overtime = rules.dailyOvertimeHours !== null
+      ? Math.max(0, Math.min(after, overtimeCap) - Math.max(before, rules.dailyOvertimeHours))
+      : 0;
+    let regular = segment.hours - overtime - doubleTime;
+
+    if (rules.weeklyOvertimeHours !== null) {
+      const weekRegular = weeklyRegular.get(day.weekStart) || 0;
+      const excess = Math.max(0, weekRegular + regular - Math.max(weekRegular, rules.weeklyOvertimeHours));
+      regular -= excess;
+      overtime += excess;
+      weeklyRegular.set(day.weekStart, weekRegular + regular);
+    }
+
+    const hours = {
+      workedHours: segment.hours,
+      regularHours: regular,
+      overtimeHours: overtime,
+      doubleTimeHours: doubleTime
+    };
+    addTotals(day, hours);
+    addTotals(shifts.get(segment.punch.id), hours);
+
+    if (segment.punch.location_type === 'Remote') {
+      day.remoteHours += segment.hours;
+    } else {
+      day.inPersonHours += segment.hours;
+    }
+    if (!day.firstStart || segment.start < day.firstStart) day.firstStart = segment.start;
+    if (!day.lastEnd || segment.end > day.lastEnd) day.lastEnd = segment.end;
+  }
+
+  const sortedDays = Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date));
+  const weeks = new Map();
+  const totals = emptyTotals();
+  for (const day of sortedDays) {
+    if (!weeks.has(day.weekStart)) {
+      weeks.set(day.weekStart, { weekStart: day.weekStart, ...emptyTotals() });
+    }
+    addTotals(weeks.get(day.weekStart), day);
+    addTotals(totals, day);
+  }
+
+  return {
+    shifts: new Map(Array.from(shifts, ([id, shift]) => [id, roundTotals(shift)])),
+    days: sortedDays.map(roundTotals),
+    weeks: Array.from(weeks.values()).map(roundTotals),
+    totals: roundTotals(totals)
+  };
+}
+
+module.exports = {
+  DEFAULT_LABOR_RULES,
+  getLaborRules,
+  validateLaborRules,
+  computeHours
+};
@@ -0,0 +1,50 @@
+// Requests and background runs still in progress, so a shutdown can wait for them
+// to finish before the pool is closed
+const inflight = new Set();
+let shuttingDown = false;
+
+// Keep count of a piece of work until it settles; resolves like the promise given
+function track(promise) {
+  inflight.add(promise);
+  const settled = () => inflight.delete(promise);
+  promise.then(settled, settled);
+  return promise;
+}
+
+function beginShutdown() {
+  shuttingDown = true;
+}
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+// Wait for everything in flight, including work that starts while waiting.
+// Resolves true once nothing is left, or false if the deadline passed first.
+async function drain(timeout) {
+  const deadline = Date.now() + timeout;
+  while (inflight.size > 0) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return false;
+
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...inflight]),
+      new Promise(resolve => { timer = setTimeout(resolve, remaining); })
+    ]);
+    clearTimeout(timer);
+  }
+  return true;
+}
+
+function inflightCount() {
+  return inflight.size;
+}
+
+module.exports = {
+  track,
+  beginShutdown,
+  isShuttingDown,
+  drain,
+  inflightCount
+};
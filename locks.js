@@ -0,0 +1,169 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const { logger } = require('./logger');
+const { userLockAttempts } = require('./metrics');
+
+// Per-user locks shared by every instance, so only one of them writes a user's records
+// to the external system at a time. A lock is a leased row in user_locks: it expires
+// unless its holder renews it, so a crashed instance can't block a user for long, and
+// only the holder (by lock id) can release it.
+const LOCK_TTL = Number(process.env.USER_LOCK_TTL) || 60 * 1000;
+const RETRY_MIN_DELAY = 100;
+const RETRY_MAX_DELAY = 1000;
+// Recorded with each lock, to tell which instance holds it
+const OWNER = process.env.FLY_MACHINE_ID || `${os.hostname()}:${process.pid}`;
+
+// Locks held by withUserLock in this process, lock id -> { key, controller, settled }, so a
+// shutdown can stop their holders. Keyed by lock id: a holder that lost its lease must
+// not drop the entry of whoever took the lock next in this process.
+const held = new Map();
+
+function lockedError(key, message = 'Another sync for this user is in progress, try again shortly') {
+  const error = new Error(message);
+  error.status = 409;
+  error.locked = true;
+  error.lockKey = key;
+  return error;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Take the lock if it is free or its lease has run out; resolves with the new lock id,
+// or null if someone else holds it
+async function tryAcquire(key, ttl) {
+  const lockId = uuidv4();
+  const result = await pool.query(
+    `INSERT INTO user_locks (user_id, lock_id, owner, created_at, expires_at)
+     VALUES ($1, $2, $3, NOW(), NOW() + $4 * INTERVAL '1 millisecond')
+     ON CONFLICT (user_id) DO UPDATE
+       SET lock_id = EXCLUDED.lock_id, owner = EXCLUDED.owner,
+           created_at = EXCLUDED.created_at, expires_at = EXCLUDED.expires_at
+       WHERE user_locks.expires_at < NOW()
+     RETURNING lock_id`,
+    [key, lockId, OWNER, ttl]
+  );
+  return result.rows[0]?.lock_id || null;
+}
+
+// Wait up to `wait` ms for the lock. Resolves with the lock id, or null on timeout.
+async function acquireLock(key, { wait = 0, ttl = LOCK_TTL } = {}) {
+  const deadline = Date.now() + wait;
+  let delay = RETRY_MIN_DELAY;
+
+  for (;;) {
+    const lockId = await tryAcquire(key, ttl);
+    if (lockId) {
+      userLockAttempts.inc({ outcome: 'acquired' });
+      return lockId;
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      userLockAttempts.inc({ outcome: 'contended' });
+      return null;
+    }
+    await sleep(Math.min(delay, remaining));
+    delay = Math.min(delay * 2, RETRY_MAX_DELAY);
+  }
+}
+
+// Push the lease out; resolves false if the lock expired and was taken by someone else
+async function renewLock(key, lockId, ttl = LOCK_TTL) {
+  const result = await pool.query(
+    `UPDATE user_locks SET expires_at = NOW() + $3 * INTERVAL '1 millisecond'
+     WHERE user_id = $1 AND lock_id = $2`,
+    [key, lockId, ttl]
+  );
+  return result.rowCount > 0;
+}
+
+// Release the lock if we still hold it; a lock that expired and moved on is left alone
+async function releaseLock(key, lockId) {
+  held.delete(lockId);
+  const result = await pool.query('DELETE FROM user_locks WHERE user_id = $1 AND lock_id = $2', [key, lockId]);
+  return result.rowCount > 0;
+}
+
+// Run fn(signal) while holding the lock, renewing the lease every third of its length
+// for as long as fn runs. Throws a 409 (error.locked) if the lock can't be had within
+// `wait` ms. If the lease is lost (renewal finds it taken, or renewals keep failing
+// until it has run out) the signal is aborted with a 409 as well; fn must check it
+// before each external write, e.g. with signal.throwIfAborted().
+async function withUserLock(key, fn, { wait = 0, ttl = LOCK_TTL } = {}) {
+  const lockId = await acquireLock(key, { wait, ttl });
+  if (!lockId) throw lockedError(key);
+
+  const controller = new AbortController();
+  let settle;
+  held.set(lockId, { key, controller, settled: new Promise(resolve => { settle = resolve; }) });
+  const lose = () => {
+    if (controller.signal.aborted) return;
+    clearInterval(renewal);
+    userLockAttempts.inc({ outcome: 'lost' });
+    logger.warn('⚠️ Lost user lock before finishing:', { lockKey: key });
+    controller.abort(lockedError(key, 'Lost the lock for this user before finishing, try again shortly'));
+  };
+
+  let done = false;
+  let renewedAt = Date.now();
+  const renewal = setInterval(async () => {
+    try {
+      const renewed = await renewLock(key, lockId, ttl);
+      if (done) return;
+      if (renewed) {
+        renewedAt = Date.now();
+      } else {
+        lose();
+      }
+    } catch (error) {
+      logger.error('Failed to renew user lock:', { lockKey: key, error: error.message });
+      if (!done && Date.now() - renewedAt >= ttl) lose();
+    }
+  }, ttl / 3);
+
+  try {
+    return await fn(controller.signal);
+  } catch (error) {
+    // A call cancelled by the abort reports why it was aborted
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    done = true;
+    clearInterval(renewal);
+    await releaseLock(key, lockId).catch(error => {
+      // The lease runs out on its own
+      logger.error('Failed to release user lock:', { lockKey: key, error: error.message });
+    });
+    settle();
+  }
+}
+
+// Abort every holder still running, e.g. when a shutdown runs out of time, and wait up to
+// `timeout` ms for them to stop. Each holder releases its own lock once it has stopped; a
+// lock whose holder is still running keeps its lease until it expires, so no other
+// instance can write the same user meanwhile. Resolves with the number still running.
+async function abortHeldLocks(timeout) {
+  const holders = Array.from(held.values());
+  for (const { key, controller } of holders) {
+    controller.abort(lockedError(key, 'Shutting down, try again shortly'));
+  }
+
+  let timer;
+  await Promise.race([
+    Promise.all(holders.map(holder => holder.settled)),
+    new Promise(resolve => { timer = setTimeout(resolve, timeout); })
+  ]);
+  clearTimeout(timer);
+  return held.size;
+}
+
+// Locks are per user within a company
+const userLockKey = (company, email) => `${company.public_id}:${email}`;
+
+module.exports = {
+  acquireLock,
+  releaseLock,
+  withUserLock,
+  abortHeldLocks,
+  userLockKey
+};
@@ -0,0 +1,94 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { redact, redactUrl, describeError } = require('./redact');
+
+// Structured logging: one JSON object per line, e.g.
+//   {"time":"...","level":"info","requestId":"...","msg":"Punch recorded","punchId":12}
+// Fields are redacted before they are written, and every line logged while handling a
+// request (or replaying its punch later) carries that request's ID.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+// Run fn with values (such as requestId) attached to everything it logs
+function runWithContext(values, fn) {
+  return context.run({ ...context.getStore(), ...values }, fn);
+}
+
+function getRequestId() {
+  return context.getStore()?.requestId || null;
+}
+
+// Headers that pass the current request ID on to the services we call
+function correlationHeaders() {
+  const requestId = getRequestId();
+  return requestId ? { 'X-Request-Id': requestId } : {};
+}
+
+// Details after the message are merged in when they are objects; errors are reduced to
+// their safe parts, and anything else is listed under "details"
+function write(level, message, details) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const fields = {};
+  const extra = [];
+  for (const detail of details) {
+    if (detail instanceof Error) {
+      fields.error = { ...describeError(detail), ...(level === 'error' && !detail.response && { stack: detail.stack }) };
+    } else if (detail && typeof detail === 'object' && !Array.isArray(detail)) {
+      Object.assign(fields, detail);
+    } else if (detail !== undefined) {
+      extra.push(detail);
+    }
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...context.getStore(),
+    msg: String(message).replace(/:\s*$/, ''),
+    ...fields,
+    ...(extra.length > 0 && { details: extra })
+  };
+  const line = `${JSON.stringify(redact(entry))}\n`;
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+const logger = {
+  debug: (message, ...details) => write('debug', message, details),
+  info: (message, ...details) => write('info', message, details),
+  warn: (message, ...details) => write('warn', message, details),
+  error: (message, ...details) => write('error', message, details)
+};
+
+// Give each request an ID, taken from X-Request-Id when the caller sent a usable one,
+// echo it back, and log the request once it has been answered
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : uuidv4();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    logger.info('Request completed', {
+      requestId,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6
+    });
+  });
+
+  runWithContext({ requestId }, next);
+}
+
+module.exports = {
+  logger,
+  runWithContext,
+  getRequestId,
+  correlationHeaders,
+  requestLogger
+};
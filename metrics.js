@@ -0,0 +1,87 @@
+const client = require('prom-client');
+const { pool } = require('./db');
+const { logger } = require('./logger');
+
+// Prometheus metrics, served at /metrics to holders of METRICS_TOKEN only, since
+// companies are labelled by public id.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'workpunch_' });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'workpunch_http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const salesforceRequests = new client.Counter({
+  name: 'workpunch_salesforce_requests_total',
+  help: 'Salesforce API calls by company and outcome (ok, or the HTTP status or error code)',
+  labelNames: ['company', 'method', 'outcome'],
+  registers: [register]
+});
+
+const tokenRefreshes = new client.Counter({
+  name: 'workpunch_salesforce_token_refreshes_total',
+  help: 'Salesforce token refreshes by company and outcome: refreshed, reconnect_required or error',
+  labelNames: ['company', 'outcome'],
+  registers: [register]
+});
+
+const userLockAttempts = new client.Counter({
+  name: 'workpunch_user_lock_attempts_total',
+  help: 'Per-user sync lock attempts by outcome: acquired, contended (not had within the wait) or lost (lease expired while held)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+// Read from the database at scrape time, so every instance reports the shared queues
+new client.Gauge({
+  name: 'workpunch_queue_depth',
+  help: 'Rows waiting in each outbox by status',
+  labelNames: ['queue', 'status'],
+  registers: [register],
+  async collect() {
+    try {
+      const result = await pool.query(`
+        SELECT 'punch_events' AS queue, status, COUNT(*)::int AS count
+        FROM punch_events WHERE status IN ('pending', 'failed') GROUP BY status
+        UNION ALL
+        SELECT 'webhook_deliveries', status, COUNT(*)::int
+        FROM webhook_deliveries WHERE status IN ('pending', 'failed') GROUP BY status
+      `);
+      this.reset();
+      for (const row of result.rows) {
+        this.set({ queue: row.queue, status: row.status }, row.count);
+      }
+    } catch (error) {
+      logger.error('Failed to read queue depth for metrics:', error.message);
+    }
+  }
+});
+
+// Label requests with the route pattern (/api/punches/:id), not the raw path, to keep
+// the number of series bounded
+function metricsMiddleware(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    end({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
+
+function salesforceOutcome(error) {
+  if (!error) return 'ok';
+  return String(error.response?.status || error.code || 'error');
+}
+
+module.exports = {
+  register,
+  metricsMiddleware,
+  salesforceRequests,
+  salesforceOutcome,
+  tokenRefreshes,
+  userLockAttempts
+};
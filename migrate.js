@@ -0,0 +1,228 @@
+// Versioned schema migrations. Each migration is a pair of files in migrations/:
+//   NNN_name.up.sql     applied by migrate
+//   NNN_name.down.sql   applied by rollback
+// Applied versions are recorded in schema_migrations with a checksum of their up
+// file, so an edited migration is caught instead of silently skipped.
+//
+//   npm run migrate              apply every pending migration
+//   npm run migrate:rollback [n] undo the last n migrations (default 1)
+//   npm run migrate:status       list applied, pending and diverged migrations
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Held while migrating, so two deploys can't apply the same migration at once
+const MIGRATION_LOCK_ID = 72831;
+
+// Migrations are referred to by their file prefix, e.g. 001_initial_schema
+const label = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+function migrationError(message) {
+  const error = new Error(message);
+  error.code = 'MIGRATIONS';
+  return error;
+}
+
+// Migrations on disk in version order: [{ version, name, up, down, checksum }]
+function loadMigrations() {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      throw migrationError(`Unexpected file in migrations/: ${file} (expected NNN_name.up.sql or NNN_name.down.sql)`);
+    }
+
+    const [, number, name, direction] = match;
+    const version = Number(number);
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw migrationError(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (!migration.up) {
+      throw migrationError(`Migration ${label(migration)} has no up file`);
+    }
+    migration.checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Compare what the database has applied with what is on disk:
+//   applied   recorded and matching their files
+//   pending   on disk, not applied yet
+//   diverged  applied but edited since, or applied but missing from disk
+async function migrationStatus(client = pool) {
+  const migrations = loadMigrations();
+  const exists = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  const rows = exists.rows[0].exists
+    ? (await client.query('SELECT * FROM schema_migrations ORDER BY version')).rows
+    : [];
+  const recorded = new Map(rows.map(row => [row.version, row]));
+
+  const status = { applied: [], pending: [], diverged: [] };
+  for (const migration of migrations) {
+    const row = recorded.get(migration.version);
+    recorded.delete(migration.version);
+    if (!row) {
+      status.pending.push({ version: migration.version, name: migration.name });
+    } else if (row.checksum !== migration.checksum || row.name !== migration.name) {
+      status.diverged.push({ version: migration.version, name: row.name, reason: 'file changed after it was applied' });
+    } else {
+      status.applied.push({ version: row.version, name: row.name, appliedAt: row.applied_at });
+    }
+  }
+  for (const row of recorded.values()) {
+    status.diverged.push({ version: row.version, name: row.name, reason: 'applied but missing from migrations/' });
+  }
+  return status;
+}
+
+// Run fn on a dedicated client holding the migration lock
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// Apply every pending migration in order, each in its own transaction
+async function migrate() {
+  return withMigrationLock(async client => {
+    const status = await migrationStatus(client);
+    if (status.diverged.length > 0) {
+      throw migrationError(`Refusing to migrate a diverged schema: ${describeVersions(status.diverged)}`);
+    }
+
+    const byVersion = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const applied = [];
+    for (const { version } of status.pending) {
+      const migration = byVersion.get(version);
+      console.log(`⬆️ Applying ${label(migration)}`);
+      await client.query('BEGIN');
+      try {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw migrationError(`Migration ${label(migration)} failed: ${error.message}`);
+      }
+      applied.push(version);
+    }
+    return applied;
+  });
+}
+
+// Undo the most recent migrations, newest first
+async function rollback(steps = 1) {
+  return withMigrationLock(async client => {
+    const status = await migrationStatus(client);
+    if (status.diverged.length > 0) {
+      throw migrationError(`Refusing to roll back a diverged schema: ${describeVersions(status.diverged)}`);
+    }
+
+    const byVersion = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const targets = status.applied.slice(-steps).reverse();
+    const rolledBack = [];
+    for (const { version } of targets) {
+      const migration = byVersion.get(version);
+      if (!migration.down) {
+        throw migrationError(`Migration ${label(migration)} has no down file`);
+      }
+      console.log(`⬇️ Rolling back ${label(migration)}`);
+      await client.query('BEGIN');
+      try {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw migrationError(`Rolling back ${label(migration)} failed: ${error.message}`);
+      }
+      rolledBack.push(version);
+    }
+    return rolledBack;
+  });
+}
+
+function describeVersions(entries) {
+  return entries.map(entry => `${label(entry)}${entry.reason ? ` (${entry.reason})` : ''}`).join(', ');
+}
+
+// Startup check: the server only runs against exactly the schema its migrations describe
+async function assertSchemaCurrent() {
+  const status = await migrationStatus();
+  if (status.diverged.length > 0) {
+    throw migrationError(`Database schema has diverged from migrations/: ${describeVersions(status.diverged)}`);
+  }
+  if (status.pending.length > 0) {
+    throw migrationError(`Database has pending migrations, run npm run migrate: ${describeVersions(status.pending)}`);
+  }
+  return status;
+}
+
+async function main(command = 'status', arg) {
+  if (command === 'up') {
+    const applied = await migrate();
+    console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : Number(arg);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw migrationError('Steps to roll back must be a positive integer');
+    }
+    const rolledBack = await rollback(steps);
+    console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+  } else if (command === 'status') {
+    const status = await migrationStatus();
+    for (const entry of status.applied) console.log(`  applied   ${label(entry)}`);
+    for (const entry of status.pending) console.log(`  pending   ${label(entry)}`);
+    for (const entry of status.diverged) console.log(`  DIVERGED  ${label(entry)}: ${entry.reason}`);
+  } else {
+    throw migrationError(`Unknown command: ${command}. Use up, down [steps] or status`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv[2], process.argv[3])
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  loadMigrations,
+  migrationStatus,
+  migrate,
+  rollback,
+  assertSchemaCurrent
+};
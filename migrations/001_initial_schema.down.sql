@@ -0,0 +1,15 @@
+-- Drops everything the baseline creates, and every row in it
+DROP TABLE IF EXISTS user_locks;
+DROP FUNCTION IF EXISTS trigger_cleanup_old_locks();
+DROP FUNCTION IF EXISTS cleanup_old_locks();
+DROP TABLE IF EXISTS salesforce_oauth_states;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_subscriptions;
+DROP TABLE IF EXISTS sync_conflicts;
+DROP TABLE IF EXISTS punch_audit_log;
+DROP FUNCTION IF EXISTS reject_punch_audit_changes();
+DROP TABLE IF EXISTS punch_events;
+DROP TABLE IF EXISTS punches;
+DROP TABLE IF EXISTS geofences;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS companies;
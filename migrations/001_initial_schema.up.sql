@@ -0,0 +1,262 @@
+-- Baseline schema. Databases set up before migrations existed (by the old initDb or
+-- by the original version of this file) are brought to the same shape, so every
+-- statement tolerates the objects already being there.
+
+-- Companies, one per tenant, with their Salesforce connection and settings
+CREATE TABLE IF NOT EXISTS companies (
+  id SERIAL PRIMARY KEY,
+  public_id TEXT UNIQUE NOT NULL,
+  salesforce_access_token TEXT,
+  salesforce_refresh_token TEXT,
+  salesforce_instance_url TEXT,
+  salesforce_login_host TEXT,
+  salesforce_token_expires_at TIMESTAMP WITH TIME ZONE,
+  salesforce_reconnect_required_at TIMESTAMP WITH TIME ZONE,
+  salesforce_reconnect_reason TEXT,
+  sync_adapter TEXT NOT NULL DEFAULT 'salesforce' CHECK (sync_adapter IN ('salesforce', 'rest', 'local')),
+  sync_adapter_config JSONB,
+  salesforce_field_mapping JSONB,
+  salesforce_schema_status JSONB,
+  inbound_sync_cursor TIMESTAMP WITH TIME ZONE,
+  labor_rules JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Older companies tables predate tenancy and required a connection on every row
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS public_id TEXT;
+UPDATE companies SET public_id = gen_random_uuid()::text WHERE public_id IS NULL;
+ALTER TABLE companies ALTER COLUMN public_id SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS companies_public_id_key ON companies (public_id);
+ALTER TABLE companies
+  ALTER COLUMN salesforce_access_token DROP NOT NULL,
+  ALTER COLUMN salesforce_refresh_token DROP NOT NULL,
+  ALTER COLUMN salesforce_instance_url DROP NOT NULL;
+ALTER TABLE companies
+  ADD COLUMN IF NOT EXISTS salesforce_login_host TEXT,
+  ADD COLUMN IF NOT EXISTS salesforce_token_expires_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS salesforce_reconnect_required_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS salesforce_reconnect_reason TEXT,
+  ADD COLUMN IF NOT EXISTS sync_adapter TEXT NOT NULL DEFAULT 'salesforce'
+    CHECK (sync_adapter IN ('salesforce', 'rest', 'local')),
+  ADD COLUMN IF NOT EXISTS sync_adapter_config JSONB,
+  ADD COLUMN IF NOT EXISTS salesforce_field_mapping JSONB,
+  ADD COLUMN IF NOT EXISTS salesforce_schema_status JSONB,
+  ADD COLUMN IF NOT EXISTS inbound_sync_cursor TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS labor_rules JSONB,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Users who can sign in to a company, either as employees or admins
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  name TEXT,
+  role TEXT NOT NULL DEFAULT 'employee' CHECK (role IN ('employee', 'admin')),
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (company_id, email)
+);
+
+-- Worksites, as a circle (center and radius) or a polygon of {latitude, longitude} points
+CREATE TABLE IF NOT EXISTS geofences (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  center_latitude DOUBLE PRECISION,
+  center_longitude DOUBLE PRECISION,
+  radius_meters DOUBLE PRECISION,
+  polygon JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CHECK (polygon IS NOT NULL
+    OR (center_latitude IS NOT NULL AND center_longitude IS NOT NULL AND radius_meters > 0))
+);
+
+-- Local punch-of-record store; the system of record is a mirror of these rows
+CREATE TABLE IF NOT EXISTS punches (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  user_email TEXT NOT NULL,
+  employee_name TEXT,
+  clock_in TIMESTAMP WITH TIME ZONE NOT NULL,
+  clock_out TIMESTAMP WITH TIME ZONE,
+  location_type TEXT NOT NULL CHECK (location_type IN ('Remote', 'In-Person')),
+  timezone TEXT,
+  salesforce_id TEXT,
+  voided_at TIMESTAMP WITH TIME ZONE,
+  flagged_at TIMESTAMP WITH TIME ZONE,
+  auto_closed_at TIMESTAMP WITH TIME ZONE,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  location_accuracy DOUBLE PRECISION,
+  location_verification TEXT,
+  geofence_id INTEGER REFERENCES geofences(id) ON DELETE SET NULL,
+  location_flagged_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CHECK (clock_out IS NULL OR clock_out > clock_in)
+);
+ALTER TABLE punches
+  ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS auto_closed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS location_accuracy DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS location_verification TEXT,
+  ADD COLUMN IF NOT EXISTS geofence_id INTEGER REFERENCES geofences(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS location_flagged_at TIMESTAMP WITH TIME ZONE;
+
+-- At most one open shift per user; voided shifts do not count
+DROP INDEX IF EXISTS punches_open_shift_key;
+CREATE UNIQUE INDEX IF NOT EXISTS punches_open_shift_idx
+  ON punches (company_id, user_email) WHERE clock_out IS NULL AND voided_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS punches_salesforce_id_key
+  ON punches (company_id, salesforce_id) WHERE salesforce_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_punches_company_clock_in ON punches (company_id, clock_in);
+
+-- Outbox of punch changes waiting to be mirrored to the system of record
+CREATE TABLE IF NOT EXISTS punch_events (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  punch_id INTEGER NOT NULL REFERENCES punches(id) ON DELETE CASCADE,
+  user_email TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  clock_in TIMESTAMP WITH TIME ZONE NOT NULL,
+  clock_out TIMESTAMP WITH TIME ZONE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'synced', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  salesforce_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  synced_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (company_id, user_email, idempotency_key)
+);
+CREATE INDEX IF NOT EXISTS idx_punch_events_pending
+  ON punch_events (next_attempt_at) WHERE status = 'pending';
+
+-- Append-only history of every change made to a punch
+CREATE TABLE IF NOT EXISTS punch_audit_log (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id),
+  punch_id INTEGER NOT NULL REFERENCES punches(id),
+  action TEXT NOT NULL,
+  actor_email TEXT NOT NULL,
+  actor_role TEXT NOT NULL,
+  reason TEXT,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+ALTER TABLE punch_audit_log DROP CONSTRAINT IF EXISTS punch_audit_log_action_check;
+ALTER TABLE punch_audit_log ADD CONSTRAINT punch_audit_log_action_check
+  CHECK (action IN ('clock_in', 'clock_out', 'create', 'edit', 'void', 'auto_close', 'flag'));
+CREATE INDEX IF NOT EXISTS idx_punch_audit_log_punch ON punch_audit_log (punch_id, created_at);
+
+CREATE OR REPLACE FUNCTION reject_punch_audit_changes() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'punch_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS punch_audit_log_append_only ON punch_audit_log;
+CREATE TRIGGER punch_audit_log_append_only
+  BEFORE UPDATE OR DELETE ON punch_audit_log
+  FOR EACH ROW EXECUTE FUNCTION reject_punch_audit_changes();
+
+-- Changes made directly in the system of record that could not be applied locally,
+-- waiting for an admin to pick a side. A punch has at most one open conflict.
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  punch_id INTEGER NOT NULL REFERENCES punches(id) ON DELETE CASCADE,
+  external_id TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  local JSONB NOT NULL,
+  remote JSONB NOT NULL,
+  remote_modified_at TIMESTAMP WITH TIME ZONE,
+  remote_modified_by TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  resolution TEXT CHECK (resolution IN ('local', 'remote')),
+  resolved_by TEXT,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_conflicts_open
+  ON sync_conflicts (punch_id) WHERE status = 'open';
+
+-- Per-company webhook subscriptions and the outbox of deliveries to them
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending
+  ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+  ON webhook_deliveries (subscription_id, created_at);
+
+-- OAuth flows started by /api/connect-salesforce, each usable once by /api/callback
+CREATE TABLE IF NOT EXISTS salesforce_oauth_states (
+  id SERIAL PRIMARY KEY,
+  nonce TEXT UNIQUE NOT NULL,
+  company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  login_host TEXT NOT NULL,
+  code_verifier TEXT NOT NULL,
+  started_by TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-user locks taken while a user's punches are written to the system of record.
+-- Locks older than an hour are assumed abandoned and cleared on the next insert.
+CREATE TABLE IF NOT EXISTS user_locks (
+  user_id TEXT PRIMARY KEY,
+  lock_id TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_user_locks_created_at ON user_locks (created_at);
+
+CREATE OR REPLACE FUNCTION cleanup_old_locks() RETURNS void AS $$
+BEGIN
+  DELETE FROM user_locks WHERE created_at < NOW() - INTERVAL '1 hour';
+END;
+$$ LANGUAGE plpgsql;
+CREATE OR REPLACE FUNCTION trigger_cleanup_old_locks() RETURNS trigger AS $$
+BEGIN
+  PERFORM cleanup_old_locks();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS cleanup_locks_trigger ON user_locks;
+CREATE TRIGGER cleanup_locks_trigger
+  AFTER INSERT ON user_locks
+  EXECUTE FUNCTION trigger_cleanup_old_locks();
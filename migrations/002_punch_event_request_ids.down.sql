@@ -0,0 +1 @@
+ALTER TABLE punch_events DROP COLUMN IF EXISTS request_id;
@@ -0,0 +1,2 @@
+-- The request that queued each punch event, so its replay can be traced back to it
+ALTER TABLE punch_events ADD COLUMN IF NOT EXISTS request_id TEXT;
@@ -0,0 +1,18 @@
+ALTER TABLE user_locks DROP COLUMN IF EXISTS expires_at;
+ALTER TABLE user_locks DROP COLUMN IF EXISTS owner;
+
+CREATE OR REPLACE FUNCTION cleanup_old_locks() RETURNS void AS $$
+BEGIN
+  DELETE FROM user_locks WHERE created_at < NOW() - INTERVAL '1 hour';
+END;
+$$ LANGUAGE plpgsql;
+CREATE OR REPLACE FUNCTION trigger_cleanup_old_locks() RETURNS trigger AS $$
+BEGIN
+  PERFORM cleanup_old_locks();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS cleanup_locks_trigger ON user_locks;
+CREATE TRIGGER cleanup_locks_trigger
+  AFTER INSERT ON user_locks
+  EXECUTE FUNCTION trigger_cleanup_old_locks();
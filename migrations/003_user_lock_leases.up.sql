@@ -0,0 +1,11 @@
+-- Per-user locks become leases: each row names the instance holding it and expires
+-- unless renewed, replacing the hourly cleanup trigger
+DROP TRIGGER IF EXISTS cleanup_locks_trigger ON user_locks;
+DROP FUNCTION IF EXISTS trigger_cleanup_old_locks();
+DROP FUNCTION IF EXISTS cleanup_old_locks();
+
+ALTER TABLE user_locks ADD COLUMN IF NOT EXISTS owner TEXT;
+ALTER TABLE user_locks ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+-- Locks taken before leases existed are treated as already expired
+UPDATE user_locks SET expires_at = created_at WHERE expires_at IS NULL;
+ALTER TABLE user_locks ALTER COLUMN expires_at SET NOT NULL;
@@ -0,0 +1,2 @@
+ALTER TABLE punch_events DROP COLUMN IF EXISTS submitted_clock_out;
+ALTER TABLE punch_events DROP COLUMN IF EXISTS submitted_clock_in;
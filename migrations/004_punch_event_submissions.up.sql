@@ -0,0 +1,4 @@
+-- The times a client sent with its Idempotency-Key, so a retry can be recognised even
+-- when the stored punch differs (a clock-out closes the shift's own clock-in)
+ALTER TABLE punch_events ADD COLUMN IF NOT EXISTS submitted_clock_in TIMESTAMP WITH TIME ZONE;
+ALTER TABLE punch_events ADD COLUMN IF NOT EXISTS submitted_clock_out TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1 @@
+ALTER TABLE companies DROP COLUMN IF EXISTS salesforce_refresh_claimed_until;
@@ -0,0 +1,3 @@
+-- Set while an instance calls the token endpoint for the company, so the row lock only
+-- covers deciding who refreshes, not the HTTP call itself
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS salesforce_refresh_claimed_until TIMESTAMP WITH TIME ZONE;
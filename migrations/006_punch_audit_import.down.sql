@@ -0,0 +1,5 @@
+-- Import entries stay in the append-only log; the old constraint is restored without
+-- checking them
+ALTER TABLE punch_audit_log DROP CONSTRAINT IF EXISTS punch_audit_log_action_check;
+ALTER TABLE punch_audit_log ADD CONSTRAINT punch_audit_log_action_check
+  CHECK (action IN ('clock_in', 'clock_out', 'create', 'edit', 'void', 'auto_close', 'flag')) NOT VALID;
@@ -0,0 +1,4 @@
+-- Punches brought in or refreshed by an import are audited like any other change
+ALTER TABLE punch_audit_log DROP CONSTRAINT IF EXISTS punch_audit_log_action_check;
+ALTER TABLE punch_audit_log ADD CONSTRAINT punch_audit_log_action_check
+  CHECK (action IN ('clock_in', 'clock_out', 'create', 'edit', 'void', 'auto_close', 'flag', 'import'));
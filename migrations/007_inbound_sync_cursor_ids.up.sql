@@ -0,0 +1,4 @@
+-- External ids of the changes already read at exactly inbound_sync_cursor. Polls read
+-- from the cursor inclusively, since LastModifiedDate only has second precision and
+-- later changes in the same second would otherwise be missed; these are skipped.
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS inbound_sync_cursor_ids TEXT[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,107 @@
+const { pool, withTransaction } = require('./db');
+const { getLaborRules } = require('./laborRules');
+const { insertAuditEntry, queuePunchSync } = require('./punches');
+const { publishPresence } = require('./presence');
+const { logger } = require('./logger');
+const { track } = require('./lifecycle');
+
+const OPEN_SHIFT_INTERVAL = Number(process.env.OPEN_SHIFT_INTERVAL) || 5 * 60 * 1000; // 5 minutes
+const HOUR = 1000 * 60 * 60;
+
+// Changes made by this job are attributed to the system rather than to a person
+const SYSTEM_ACTOR = { email: 'system', role: 'system' };
+
+// Open shifts not yet flagged, with the rules of the company they belong to
+async function findOpenShifts() {
+  const result = await pool.query(
+    `SELECT p.id, p.company_id, p.clock_in, c.labor_rules
+     FROM punches p
+     JOIN companies c ON c.id = p.company_id
+     WHERE p.clock_out IS NULL AND p.voided_at IS NULL AND p.flagged_at IS NULL
+     ORDER BY p.clock_in`
+  );
+  return result.rows;
+}
+
+// Close or flag one overdue shift. The row is locked and re-checked first, since
+// the employee may have clocked out since it was found.
+async function handleOverdueShift(shift, rules) {
+  return withTransaction(async client => {
+    const locked = await client.query(
+      `SELECT * FROM punches
+       WHERE id = $1 AND clock_out IS NULL AND voided_at IS NULL AND flagged_at IS NULL
+       FOR UPDATE SKIP LOCKED`,
+      [shift.id]
+    );
+    const before = locked.rows[0];
+    if (!before) return null;
+
+    const reason = `Shift open longer than ${rules.maxShiftHours} hours`;
+
+    if (rules.openShiftAction === 'auto_close') {
+      const clockOut = new Date(new Date(before.clock_in).getTime() + rules.autoCloseShiftHours * HOUR);
+      const updated = await client.query(
+        `UPDATE punches SET clock_out = $2, auto_closed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [before.id, clockOut]
+      );
+      const punch = updated.rows[0];
+      const audit = await insertAuditEntry(client, punch, { action: 'auto_close', actor: SYSTEM_ACTOR, reason, before });
+      await queuePunchSync(client, punch, `audit-${audit.id}`);
+      return { action: 'auto_close', punch };
+    }
+
+    const updated = await client.query(
+      'UPDATE punches SET flagged_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *',
+      [before.id]
+    );
+    const punch = updated.rows[0];
+    await insertAuditEntry(client, punch, { action: 'flag', actor: SYSTEM_ACTOR, reason, before });
+    return { action: 'flag', punch };
+  });
+}
+
+// Find shifts open past their company's maximum length and apply its policy
+async function processOpenShifts(now = new Date()) {
+  const handled = [];
+
+  for (const shift of await findOpenShifts()) {
+    const rules = getLaborRules(shift);
+    if (rules.maxShiftHours === null) continue;
+    if (now - new Date(shift.clock_in) < rules.maxShiftHours * HOUR) continue;
+
+    const result = await handleOverdueShift(shift, rules);
+    if (!result) continue;
+
+    const verb = result.action === 'auto_close' ? 'Auto-closed' : 'Flagged for review';
+    logger.info(`⏰ [Punch ${shift.id}] ${verb}: open since ${new Date(shift.clock_in).toISOString()}`);
+    if (result.action === 'auto_close') {
+      // Presence streams learn of it like any other clock-out
+      await publishPresence(result.punch, 'clock_out');
+    }
+    handled.push(result);
+  }
+  return handled;
+}
+
+// Check for forgotten clock-outs in the background, one run at a time
+function startOpenShiftMonitor() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await track(processOpenShifts());
+    } catch (error) {
+      logger.error('Open shift monitor error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, OPEN_SHIFT_INTERVAL);
+}
+
+module.exports = {
+  processOpenShifts,
+  startOpenShiftMonitor
+};
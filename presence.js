@@ -0,0 +1,190 @@
+const { pool } = require('./db');
+const { describeError } = require('./redact');
+const { logger } = require('./logger');
+
+// Clock-ins and clock-outs are announced over Postgres NOTIFY, so every instance can
+// pass on the ones recorded by the others
+const PRESENCE_CHANNEL = 'workpunch_presence';
+const LISTEN_RETRY_DELAY = 5000;
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_INTERVAL = Number(process.env.PRESENCE_HEARTBEAT_INTERVAL) || 25 * 1000;
+const MINUTE = 60 * 1000;
+
+// Open streams on this instance, by company id
+const subscribers = new Map();
+let listening = false;
+// The client holding LISTEN, and whether stopPresence has been called
+let listener = null;
+let stopping = false;
+
+function serializeShift(shift, now = new Date()) {
+  return {
+    punchId: shift.id,
+    userId: shift.user_email,
+    employeeName: shift.employee_name,
+    clockIn: shift.clock_in,
+    clockOut: shift.clock_out,
+    locationType: shift.location_type,
+    locationVerification: shift.location_verification,
+    elapsedMinutes: Math.floor(((shift.clock_out ? new Date(shift.clock_out) : now) - new Date(shift.clock_in)) / MINUTE)
+  };
+}
+
+const SHIFT_COLUMNS = `
+  p.id, p.user_email, COALESCE(u.name, p.employee_name) AS employee_name,
+  p.clock_in, p.clock_out, p.location_type, p.location_verification`;
+
+// Everyone clocked in right now, longest on shift first
+async function listOnShift(companyId) {
+  const result = await pool.query(
+    `SELECT ${SHIFT_COLUMNS}
+     FROM punches p
+     LEFT JOIN users u ON u.company_id = p.company_id AND u.email = p.user_email
+     WHERE p.company_id = $1 AND p.clock_out IS NULL AND p.voided_at IS NULL
+     ORDER BY p.clock_in`,
+    [companyId]
+  );
+  return result.rows;
+}
+
+async function getPresenceSnapshot(companyId) {
+  const now = new Date();
+  const shifts = await listOnShift(companyId);
+  return { asOf: now.toISOString(), onShift: shifts.map(shift => serializeShift(shift, now)) };
+}
+
+function dispatch(message) {
+  for (const send of subscribers.get(message.companyId) || []) {
+    send(message.type, message.shift);
+  }
+}
+
+// Announce a clock-in or clock-out. Presence is best effort: a failure is logged and
+// never fails the punch.
+async function publishPresence(punch, type) {
+  try {
+    const result = await pool.query(
+      `SELECT ${SHIFT_COLUMNS}
+       FROM punches p
+       LEFT JOIN users u ON u.company_id = p.company_id AND u.email = p.user_email
+       WHERE p.id = $1`,
+      [punch.id]
+    );
+    const message = { companyId: punch.company_id, type, shift: serializeShift(result.rows[0]) };
+
+    if (!listening) {
+      // Without a listener this instance would never hear its own notification
+      dispatch(message);
+      return;
+    }
+    await pool.query('SELECT pg_notify($1, $2)', [PRESENCE_CHANNEL, JSON.stringify(message)]);
+  } catch (error) {
+    logger.error('Failed to publish presence:', describeError(error));
+  }
+}
+
+// Hold one connection open on LISTEN, reconnecting whenever it drops
+async function startPresenceListener() {
+  if (stopping) return;
+  let client;
+  try {
+    client = await pool.connect();
+  } catch (error) {
+    logger.error('Presence listener could not connect, retrying:', error.message);
+    setTimeout(startPresenceListener, LISTEN_RETRY_DELAY);
+    return;
+  }
+
+  let stopped = false;
+  const restart = error => {
+    if (stopped) return;
+    stopped = true;
+    listening = false;
+    listener = null;
+    client.release(error);
+    if (stopping) return;
+    logger.error('Presence listener lost its connection, reconnecting:', error.message);
+    setTimeout(startPresenceListener, LISTEN_RETRY_DELAY);
+  };
+
+  client.on('notification', notification => {
+    if (notification.channel !== PRESENCE_CHANNEL) return;
+    try {
+      dispatch(JSON.parse(notification.payload));
+    } catch (error) {
+      logger.error('Ignoring malformed presence notification:', error.message);
+    }
+  });
+  client.on('error', restart);
+
+  try {
+    await client.query(`LISTEN ${PRESENCE_CHANNEL}`);
+    if (stopping) {
+      client.removeListener('error', restart);
+      client.release();
+      return;
+    }
+    listening = true;
+    listener = client;
+    logger.info('👀 Listening for presence updates');
+  } catch (error) {
+    restart(error);
+  }
+}
+
+// Serve a company's presence as Server-Sent Events: a "snapshot" event with everyone
+// on shift, then "clock_in" and "clock_out" events as they happen
+async function streamPresence(req, res) {
+  const companyId = req.company.id;
+  const snapshot = await getPresenceSnapshot(companyId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  let eventId = 0;
+  const send = (event, data) => {
+    res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  send.end = () => res.end();
+  send('snapshot', snapshot);
+
+  if (!subscribers.has(companyId)) subscribers.set(companyId, new Set());
+  subscribers.get(companyId).add(send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  // The response closes when the client goes away
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = subscribers.get(companyId);
+    streams.delete(send);
+    if (streams.size === 0) subscribers.delete(companyId);
+  });
+}
+
+// On shutdown: end every open stream (clients reconnect to another instance) and
+// give the LISTEN connection back to the pool
+function stopPresence() {
+  stopping = true;
+  for (const streams of subscribers.values()) {
+    for (const send of streams) send.end();
+  }
+  if (listener) {
+    listening = false;
+    listener.removeAllListeners('error');
+    listener.release();
+    listener = null;
+  }
+}
+
+module.exports = {
+  getPresenceSnapshot,
+  publishPresence,
+  startPresenceListener,
+  streamPresence,
+  stopPresence
+};
@@ -0,0 +1,85 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+// Admin-supplied endpoints (REST adapter, webhooks) are sent auth tokens and signed
+// payloads, so they may only be public hosts: not loopback, private, link-local
+// (cloud metadata at 169.254.169.254) or Fly's private 6PN network (fdaa::/16).
+const blocked = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  blocked.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  blocked.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function privateHostError(host) {
+  const error = new Error(`${host} is not a public host`);
+  error.code = 'EPRIVATEHOST';
+  return error;
+}
+
+// Why the URL can't be used as an endpoint, or null. Only what is visible in the URL
+// itself is checked; names are checked as they are resolved, by publicAgent.
+function hostProblem(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) return 'must not point at this machine';
+  if (net.isIP(host) && !isPublicAddress(host)) return 'must not point at a private address';
+  return null;
+}
+
+// Throws before anything is sent to an endpoint that hostProblem rejects. IP literals
+// are connected to without a lookup, so this is needed as well as publicAgent.
+function assertPublicHost(url) {
+  if (hostProblem(url)) throw privateHostError(new URL(url).host);
+}
+
+// dns.lookup that fails if a name resolves to any non-public address. Connecting to
+// the address checked here, rather than looking the name up again, means a name can't
+// pass the check and then be re-pointed at an internal address.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(privateHostError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// For axios' httpsAgent on calls to admin-supplied endpoints; redirects must be off
+// (maxRedirects: 0), since a redirect could lead anywhere
+const publicAgent = new https.Agent({ keepAlive: true, lookup: publicLookup });
+
+module.exports = {
+  isPublicAddress,
+  hostProblem,
+  assertPublicHost,
+  publicAgent
+};
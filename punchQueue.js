@@ -0,0 +1,225 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool, companyHelpers } = require('./db');
+const { getAdapter, syncPunch } = require('./adapters');
+const { emitWebhookEvent } = require('./webhooks');
+const { logger, runWithContext } = require('./logger');
+const { withUserLock, userLockKey } = require('./locks');
+const { track } = require('./lifecycle');
+
+const PUNCH_STATUSES = ['pending', 'synced', 'failed'];
+const PUNCH_WORKER_INTERVAL = Number(process.env.PUNCH_WORKER_INTERVAL) || 5000;
+const PUNCH_BATCH_SIZE = 20;
+// How long a replay waits for a user another instance is writing
+const LOCK_WAIT = 5 * 1000;
+const MAX_SYNC_ATTEMPTS = Number(process.env.MAX_SYNC_ATTEMPTS) || 10;
+const RETRY_BASE_DELAY = 30 * 1000; // 30 seconds
+const RETRY_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+
+async function getPunchEvent(companyId, userEmail, idempotencyKey) {
+  const result = await pool.query(
+    'SELECT * FROM punch_events WHERE company_id = $1 AND user_email = $2 AND idempotency_key = $3',
+    [companyId, userEmail, idempotencyKey]
+  );
+  return result.rows[0] || null;
+}
+
+async function listPunchEvents(companyId, { status, limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM punch_events
+     WHERE company_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [companyId, status || null, limit]
+  );
+  return result.rows;
+}
+
+// Put a failed event back in the queue for another round of attempts
+async function retryPunchEvent(companyId, id) {
+  const result = await pool.query(
+    `UPDATE punch_events
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+     WHERE company_id = $1 AND id = $2 AND status = 'failed'
+     RETURNING *`,
+    [companyId, id]
+  );
+  return result.rows[0] || null;
+}
+
+// Make a company's pending events due now, e.g. once its Salesforce org is reconnected
+async function resumePunchEvents(companyId) {
+  const result = await pool.query(
+    `UPDATE punch_events SET next_attempt_at = NOW()
+     WHERE company_id = $1 AND status = 'pending' AND next_attempt_at > NOW()`,
+    [companyId]
+  );
+  return result.rowCount;
+}
+
+function serializePunchEvent(event) {
+  return {
+    id: event.id,
+    punchId: event.punch_id,
+    idempotencyKey: event.idempotency_key,
+    userId: event.user_email,
+    clockIn: event.clock_in,
+    clockOut: event.clock_out,
+    status: event.status,
+    attempts: event.attempts,
+    lastError: event.last_error,
+    salesforceId: event.salesforce_id,
+    requestId: event.request_id,
+    createdAt: event.created_at,
+    syncedAt: event.synced_at
+  };
+}
+
+// Lease a batch of due events. An event is only eligible once every earlier pending
+// event for the same punch has been written, so a clock-out never overtakes its clock-in.
+async function claimPendingEvents(limit) {
+  const result = await pool.query(
+    `UPDATE punch_events SET locked_until = NOW() + INTERVAL '2 minutes'
+     WHERE id IN (
+       SELECT p.id FROM punch_events p
+       WHERE p.status = 'pending'
+         AND p.next_attempt_at <= NOW()
+         AND (p.locked_until IS NULL OR p.locked_until < NOW())
+         AND NOT EXISTS (
+           SELECT 1 FROM punch_events e
+           WHERE e.company_id = p.company_id
+             AND e.punch_id = p.punch_id
+             AND e.status = 'pending'
+             AND e.id < p.id
+         )
+       ORDER BY p.next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+  return result.rows;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+// Write the punch to the company's system and record the outcome on the event. Losing
+// the lock stops the sync before its next external call, without using up an attempt;
+// once the writes have gone out their result is recorded even if the lock was lost
+// meanwhile, so the external id isn't forgotten.
+async function mirrorEvent(company, event, tag, signal) {
+  signal.throwIfAborted();
+  try {
+    // Always mirror the punch as it stands now, not as it was when the event was queued
+    const punchResult = await pool.query('SELECT * FROM punches WHERE id = $1', [event.punch_id]);
+    const salesforceId = await syncPunch(company, punchResult.rows[0], { signal });
+
+    await pool.query(
+      'UPDATE punches SET salesforce_id = $2 WHERE id = $1 AND salesforce_id IS NULL',
+      [event.punch_id, salesforceId]
+    );
+    await pool.query(
+      `UPDATE punch_events
+       SET status = 'synced', salesforce_id = $2, attempts = attempts + 1, last_error = NULL,
+           synced_at = NOW(), locked_until = NULL
+       WHERE id = $1`,
+      [event.id, salesforceId]
+    );
+    logger.info(`✅ ${tag} Mirrored to ${getAdapter(company).name}:`, salesforceId);
+  } catch (error) {
+    if (signal.aborted) throw signal.reason;
+    if (error.needsReconnect || error.schemaIncomplete) {
+      // Nothing will succeed until an admin reconnects or fixes the org's schema;
+      // wait without using up attempts
+      await pool.query(
+        `UPDATE punch_events
+         SET last_error = $2, next_attempt_at = NOW() + $3 * INTERVAL '1 millisecond', locked_until = NULL
+         WHERE id = $1`,
+        [event.id, error.message, RETRY_MAX_DELAY]
+      );
+      logger.warn(`⏸️ ${tag} Waiting for an admin:`, error.message);
+      return;
+    }
+
+    const attempts = event.attempts + 1;
+    const message = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+    const giveUp = attempts >= MAX_SYNC_ATTEMPTS;
+
+    await pool.query(
+      `UPDATE punch_events
+       SET status = $2, attempts = $3, last_error = $4,
+           next_attempt_at = NOW() + $5 * INTERVAL '1 millisecond', locked_until = NULL
+       WHERE id = $1`,
+      [event.id, giveUp ? 'failed' : 'pending', attempts, message, retryDelay(attempts)]
+    );
+
+    if (giveUp) {
+      logger.error(`❌ ${tag} Giving up after ${attempts} attempt(s):`, message);
+      await emitWebhookEvent(company, 'sync.failed', {
+        kind: 'punch',
+        adapter: getAdapter(company).name,
+        punchId: event.punch_id,
+        syncId: event.id,
+        userId: event.user_email,
+        attempts,
+        error: message
+      });
+    } else {
+      logger.warn(`🔁 ${tag} Attempt ${attempts} failed, retrying in ${retryDelay(attempts)}ms:`, message);
+    }
+  }
+}
+
+async function replayEvent(event) {
+  const tag = `[Punch ${event.punch_id}]`;
+  const company = await companyHelpers.getCompanyById(event.company_id);
+
+  try {
+    // One write per user at a time across instances, so an open and a close of the
+    // same shift can't race each other
+    await withUserLock(userLockKey(company, event.user_email), signal => mirrorEvent(company, event, tag, signal), { wait: LOCK_WAIT });
+  } catch (error) {
+    if (!error.locked) throw error;
+    logger.info(`⏭️ ${tag} User is locked, leaving for the next run`);
+    await pool.query('UPDATE punch_events SET locked_until = NULL WHERE id = $1', [event.id]);
+  }
+}
+
+async function processPendingEvents() {
+  const events = await claimPendingEvents(PUNCH_BATCH_SIZE);
+  for (const event of events) {
+    // Logs and outbound calls carry the ID of the request that recorded the punch
+    await runWithContext({ requestId: event.request_id || uuidv4(), punchId: event.punch_id }, () => replayEvent(event));
+  }
+  return events.length;
+}
+
+// Poll the ledger in the background, one run at a time
+function startPunchWorker() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await track(processPendingEvents());
+    } catch (error) {
+      logger.error('Punch worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, PUNCH_WORKER_INTERVAL);
+}
+
+module.exports = {
+  PUNCH_STATUSES,
+  getPunchEvent,
+  listPunchEvents,
+  retryPunchEvent,
+  resumePunchEvents,
+  serializePunchEvent,
+  processPendingEvents,
+  startPunchWorker
+};
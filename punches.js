@@ -0,0 +1,578 @@
+const { pool, withTransaction, companyHelpers } = require('./db');
+const { computeHours } = require('./laborRules');
+const { listGeofences, verifyLocation } = require('./geofences');
+const { logger, getRequestId } = require('./logger');
+
+// How far a clock-out's clockIn may be from the open shift's and still close it
+const CLOCK_IN_TOLERANCE = 60 * 1000;
+
+// Errors the routes turn straight into a response with the given status
+function punchError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function getOpenShift(companyId, userEmail) {
+  const result = await pool.query(
+    'SELECT * FROM punches WHERE company_id = $1 AND user_email = $2 AND clock_out IS NULL AND voided_at IS NULL',
+    [companyId, userEmail]
+  );
+  return result.rows[0] || null;
+}
+
+async function getPunchById(companyId, id) {
+  const result = await pool.query('SELECT * FROM punches WHERE company_id = $1 AND id = $2', [companyId, id]);
+  return result.rows[0] || null;
+}
+
+// The fields the audit log records before and after each change
+function auditSnapshot(punch) {
+  return {
+    userId: punch.user_email,
+    clockIn: punch.clock_in,
+    clockOut: punch.clock_out,
+    locationType: punch.location_type,
+    timezone: punch.timezone,
+    voidedAt: punch.voided_at,
+    flaggedAt: punch.flagged_at,
+    autoClosedAt: punch.auto_closed_at,
+    locationVerification: punch.location_verification,
+    locationFlaggedAt: punch.location_flagged_at
+  };
+}
+
+async function insertAuditEntry(client, punch, { action, actor, reason, before }) {
+  const result = await client.query(
+    `INSERT INTO punch_audit_log (company_id, punch_id, action, actor_email, actor_role, reason, before, after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [punch.company_id, punch.id, action, actor.email, actor.role, reason, before ? auditSnapshot(before) : null, auditSnapshot(punch)]
+  );
+  return result.rows[0];
+}
+
+// Queue the punch's current state to be mirrored to the company's system of record.
+// submitted holds the times a client sent, for punches recorded through /api/sync-clock.
+async function queuePunchSync(client, punch, idempotencyKey, submitted = {}) {
+  const result = await client.query(
+    `INSERT INTO punch_events (company_id, punch_id, user_email, idempotency_key, clock_in, clock_out, request_id,
+                               submitted_clock_in, submitted_clock_out)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      punch.company_id,
+      punch.id,
+      punch.user_email,
+      idempotencyKey,
+      punch.clock_in,
+      punch.clock_out,
+      getRequestId(),
+      submitted.clockIn || null,
+      submitted.clockOut || null
+    ]
+  );
+  return result.rows[0];
+}
+
+const time = value => (value ? new Date(value).getTime() : null);
+
+// Whether a resubmitted Idempotency-Key describes the punch it was first used for.
+// Events from before submitted times were kept fall back to the stored punch, allowing
+// the same clock-in slack a clock-out gets.
+function isSameSubmission(event, { clockIn, clockOut }) {
+  if (event.submitted_clock_in) {
+    return time(event.submitted_clock_in) === time(clockIn) && time(event.submitted_clock_out) === time(clockOut);
+  }
+  return Math.abs(time(event.clock_in) - time(clockIn)) <= CLOCK_IN_TOLERANCE && time(event.clock_out) === time(clockOut);
+}
+
+async function applyPunch(company, user, { idempotencyKey, clockIn, clockOut, isRemote, timezone, location }) {
+  return withTransaction(async client => {
+    const existing = await client.query(
+      'SELECT * FROM punch_events WHERE company_id = $1 AND user_email = $2 AND idempotency_key = $3',
+      [company.id, user.email, idempotencyKey]
+    );
+    if (existing.rows.length > 0) {
+      const event = existing.rows[0];
+      return { event, punch: await getPunchById(company.id, event.punch_id), replayed: true };
+    }
+
+    const openResult = await client.query(
+      `SELECT * FROM punches
+       WHERE company_id = $1 AND user_email = $2 AND clock_out IS NULL AND voided_at IS NULL
+       FOR UPDATE`,
+      [company.id, user.email]
+    );
+    const open = openResult.rows[0];
+
+    let punch;
+    if (clockOut) {
+      if (!open) {
+        throw punchError(404, 'No active clock-in record found to update');
+      }
+      // Verify this is the correct shift to close
+      if (Math.abs(new Date(open.clock_in) - clockIn) > CLOCK_IN_TOLERANCE) {
+        throw punchError(400, 'Clock in time mismatch');
+      }
+      // Checked against the stored clock-in, which the tolerance above lets differ
+      if (clockOut <= new Date(open.clock_in)) {
+        throw punchError(400, 'Clock out time must be after clock in time');
+      }
+
+      const updated = await client.query(
+        'UPDATE punches SET clock_out = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [open.id, clockOut]
+      );
+      punch = updated.rows[0];
+      await insertAuditEntry(client, punch, { action: 'clock_out', actor: user, before: open });
+    } else {
+      if (open) {
+        return { punch: open, alreadyClockedIn: true };
+      }
+
+      // Where the shift was worked is decided here from the device's coordinates
+      const placement = verifyLocation(await listGeofences(company.id, client), location, isRemote);
+      const inserted = await client.query(
+        `INSERT INTO punches (company_id, user_email, clock_in, location_type, timezone,
+                              latitude, longitude, location_accuracy, location_verification,
+                              geofence_id, location_flagged_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          company.id,
+          user.email,
+          clockIn,
+          placement.locationType,
+          timezone,
+          location ? location.latitude : null,
+          location ? location.longitude : null,
+          location ? location.accuracy : null,
+          placement.verification,
+          placement.geofenceId,
+          placement.flagged ? new Date() : null
+        ]
+      );
+      punch = inserted.rows[0];
+      await insertAuditEntry(client, punch, { action: 'clock_in', actor: user });
+    }
+
+    const event = await queuePunchSync(client, punch, idempotencyKey, { clockIn, clockOut });
+    return { event, punch, replayed: false };
+  });
+}
+
+// Apply a clock-in or clock-out to the local punch store and queue the change for
+// Salesforce in the same transaction. Resubmitting an idempotency key returns the
+// original event without touching the store again.
+async function recordPunch(company, user, punch) {
+  try {
+    return await applyPunch(company, user, punch);
+  } catch (error) {
+    // Lost a race with a concurrent request for the same key or the same open shift;
+    // running again sees the winner's row
+    if (error.code === '23505') {
+      return applyPunch(company, user, punch);
+    }
+    throw error;
+  }
+}
+
+// Reject a shift that would overlap another live shift of the same employee
+async function assertNoOverlap(client, punch) {
+  const result = await client.query(
+    `SELECT id FROM punches
+     WHERE company_id = $1 AND user_email = $2 AND id <> $3 AND voided_at IS NULL
+       AND tstzrange(clock_in, COALESCE(clock_out, 'infinity'))
+        && tstzrange($4, COALESCE($5::timestamptz, 'infinity'))
+     LIMIT 1`,
+    [punch.company_id, punch.user_email, punch.id || 0, punch.clock_in, punch.clock_out]
+  );
+  if (result.rows.length > 0) {
+    throw punchError(409, `Punch overlaps shift ${result.rows[0].id}`);
+  }
+}
+
+function assertValidTimes(clockIn, clockOut) {
+  if (clockOut && clockOut <= clockIn) {
+    throw punchError(400, 'Clock out time must be after clock in time');
+  }
+}
+
+// Manager corrections. Each one takes the acting admin and a required reason, writes
+// an audit entry and queues the corrected punch for Salesforce.
+
+async function createPunch(company, actor, { userEmail, clockIn, clockOut, isRemote, timezone, reason }) {
+  assertValidTimes(clockIn, clockOut);
+
+  return withTransaction(async client => {
+    const punch = {
+      company_id: company.id,
+      user_email: userEmail,
+      clock_in: clockIn,
+      clock_out: clockOut
+    };
+    await assertNoOverlap(client, punch);
+
+    const inserted = await client.query(
+      `INSERT INTO punches (company_id, user_email, clock_in, clock_out, location_type, timezone)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [company.id, userEmail, clockIn, clockOut, isRemote ? 'Remote' : 'In-Person', timezone]
+    );
+    const created = inserted.rows[0];
+    const audit = await insertAuditEntry(client, created, { action: 'create', actor, reason });
+    await queuePunchSync(client, created, `audit-${audit.id}`);
+    return created;
+  });
+}
+
+async function lockPunch(client, companyId, id) {
+  const result = await client.query(
+    'SELECT * FROM punches WHERE company_id = $1 AND id = $2 FOR UPDATE',
+    [companyId, id]
+  );
+  const punch = result.rows[0];
+  if (!punch) {
+    throw punchError(404, 'Punch not found');
+  }
+  if (punch.voided_at) {
+    throw punchError(409, 'Punch has been voided');
+  }
+  return punch;
+}
+
+async function editPunch(company, actor, id, changes) {
+  return withTransaction(async client => {
+    const before = await lockPunch(client, company.id, id);
+
+    const clockIn = changes.clockIn || new Date(before.clock_in);
+    const clockOut = changes.clockOut !== undefined ? changes.clockOut : before.clock_out && new Date(before.clock_out);
+    const locationType = changes.isRemote !== undefined
+      ? (changes.isRemote ? 'Remote' : 'In-Person')
+      : before.location_type;
+    const timezone = changes.timezone || before.timezone;
+
+    assertValidTimes(clockIn, clockOut);
+    await assertNoOverlap(client, { ...before, clock_in: clockIn, clock_out: clockOut });
+
+    const updated = await client.query(
+      `UPDATE punches
+       SET clock_in = $2, clock_out = $3, location_type = $4, timezone = $5,
+           flagged_at = NULL, location_flagged_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, clockIn, clockOut, locationType, timezone]
+    );
+    const punch = updated.rows[0];
+    const audit = await insertAuditEntry(client, punch, { action: 'edit', actor, reason: changes.reason, before });
+    await queuePunchSync(client, punch, `audit-${audit.id}`);
+    return punch;
+  });
+}
+
+async function voidPunch(company, actor, id, reason) {
+  return withTransaction(async client => {
+    const before = await lockPunch(client, company.id, id);
+
+    const updated = await client.query(
+      'UPDATE punches SET voided_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *',
+      [id]
+    );
+    const punch = updated.rows[0];
+    const audit = await insertAuditEntry(client, punch, { action: 'void', actor, reason, before });
+    await queuePunchSync(client, punch, `audit-${audit.id}`);
+    return punch;
+  });
+}
+
+async function getPunchHistory(companyId, punchId) {
+  const result = await pool.query(
+    'SELECT * FROM punch_audit_log WHERE company_id = $1 AND punch_id = $2 ORDER BY created_at, id',
+    [companyId, punchId]
+  );
+  return result.rows.map(entry => ({
+    id: entry.id,
+    action: entry.action,
+    actor: { email: entry.actor_email, role: entry.actor_role },
+    reason: entry.reason,
+    before: entry.before,
+    after: entry.after,
+    createdAt: entry.created_at
+  }));
+}
+
+const LOCATION_TYPES = ['Remote', 'In-Person'];
+
+// Build the WHERE clause shared by the punch listing queries.
+// Filters: userEmail, from/to (bounds on clock-in), locationType, openOnly, needsReview.
+function punchFilters(companyId, { userEmail, from, to, locationType, openOnly, needsReview } = {}) {
+  const conditions = ['p.company_id = $1', 'p.voided_at IS NULL'];
+  const params = [companyId];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (userEmail) add('p.user_email = ?', userEmail.toLowerCase());
+  if (from) add('p.clock_in >= ?', from);
+  if (to) add('p.clock_in < ?', to);
+  if (locationType) add('p.location_type = ?', locationType);
+  if (openOnly) conditions.push('p.clock_out IS NULL');
+  if (needsReview) conditions.push('(p.flagged_at IS NOT NULL OR p.location_flagged_at IS NOT NULL)');
+
+  return { where: conditions.join(' AND '), params };
+}
+
+async function listPunches(companyId, filters = {}) {
+  const { where, params } = punchFilters(companyId, filters);
+  const emailCondition = filters.userEmails ? ` AND p.user_email = ANY($${params.length + 1})` : '';
+
+  const result = await pool.query(
+    `SELECT p.*, COALESCE(u.name, p.employee_name) AS name
+     FROM punches p
+     LEFT JOIN users u ON u.company_id = p.company_id AND u.email = p.user_email
+     WHERE ${where}${emailCondition}
+     ORDER BY p.user_email, p.clock_in DESC`,
+    filters.userEmails ? [...params, filters.userEmails] : params
+  );
+  return result.rows;
+}
+
+// One page of employees with punches matching the filters, ordered by email.
+// The cursor is the last email of the previous page.
+async function listEmployeePage(companyId, filters, { after, limit, rules }) {
+  const { where, params } = punchFilters(companyId, filters);
+  params.push(after || '', limit + 1);
+
+  const result = await pool.query(
+    `SELECT DISTINCT p.user_email
+     FROM punches p
+     WHERE ${where} AND p.user_email > $${params.length - 1}
+     ORDER BY p.user_email
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const emails = result.rows.map(row => row.user_email);
+  const hasMore = emails.length > limit;
+  const pageEmails = emails.slice(0, limit);
+  const punches = pageEmails.length > 0
+    ? await listPunches(companyId, { ...filters, userEmail: undefined, userEmails: pageEmails })
+    : [];
+
+  return {
+    employees: summarizeEmployees(punches, rules),
+    nextCursor: hasMore ? encodeCursor(pageEmails[pageEmails.length - 1]) : null
+  };
+}
+
+function encodeCursor(email) {
+  return Buffer.from(JSON.stringify({ email })).toString('base64url');
+}
+
+// Returns the email a cursor points at, or undefined if the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const { email } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return typeof email === 'string' ? email : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function serializePunch(punch) {
+  return {
+    id: punch.id,
+    clockIn: punch.clock_in,
+    clockOut: punch.clock_out,
+    isRemote: punch.location_type === 'Remote',
+    timezone: punch.timezone,
+    salesforceId: punch.salesforce_id,
+    voided: Boolean(punch.voided_at),
+    needsReview: Boolean(punch.flagged_at || punch.location_flagged_at),
+    autoClosed: Boolean(punch.auto_closed_at),
+    location: {
+      latitude: punch.latitude,
+      longitude: punch.longitude,
+      accuracy: punch.location_accuracy,
+      verification: punch.location_verification,
+      geofenceId: punch.geofence_id,
+      flagged: Boolean(punch.location_flagged_at)
+    }
+  };
+}
+
+// Group punches by employee and total up completed hours per location type, with
+// regular, overtime and double-time hours worked out under the company's labor rules
+function summarizeEmployees(punches, rules) {
+  const employeeMap = new Map();
+  punches.forEach(punch => {
+    if (!employeeMap.has(punch.user_email)) {
+      employeeMap.set(punch.user_email, { id: punch.user_email, name: punch.name, punches: [] });
+    }
+    employeeMap.get(punch.user_email).punches.push(punch);
+  });
+
+  return Array.from(employeeMap.values()).map(({ id, name, punches: employeePunches }) => {
+    const hours = computeHours(employeePunches, rules);
+    return {
+      id,
+      name,
+      clockRecords: employeePunches.map(punch => ({
+        ...serializePunch(punch),
+        hours: hours.shifts.get(punch.id)
+      })),
+      totalRemoteHours: hours.days.reduce((sum, day) => sum + day.remoteHours, 0),
+      totalInPersonHours: hours.days.reduce((sum, day) => sum + day.inPersonHours, 0),
+      totalRegularHours: hours.totals.regularHours,
+      totalOvertimeHours: hours.totals.overtimeHours,
+      totalDoubleTimeHours: hours.totals.doubleTimeHours,
+      weeks: hours.weeks
+    };
+  });
+}
+
+// Store a company's sync adapter settings. When the company moves to a different
+// system, the external ids from the old one mean nothing there: they are cleared and
+// every punch that isn't voided is queued to be written to the new system afresh.
+async function changeSyncAdapter(company, name, config, { switched }) {
+  return withTransaction(async client => {
+    const updated = await companyHelpers.updateSyncAdapter(company.id, name, config, client);
+    if (!switched) return { company: updated, requeued: 0 };
+
+    await client.query('UPDATE punches SET salesforce_id = NULL WHERE company_id = $1 AND salesforce_id IS NOT NULL', [company.id]);
+    const live = await client.query(
+      'SELECT * FROM punches WHERE company_id = $1 AND voided_at IS NULL ORDER BY id',
+      [company.id]
+    );
+    const switchId = Date.now();
+    for (const punch of live.rows) {
+      await queuePunchSync(client, punch, `adapter-${name}-${switchId}-${punch.id}`);
+    }
+    logger.info('🔁 Sync adapter switched, punches queued for the new system:', {
+      companyId: company.public_id,
+      adapter: name,
+      punches: live.rows.length
+    });
+    return { company: updated, requeued: live.rows.length };
+  });
+}
+
+// Local changes to the punch that have not reached the system of record yet
+async function hasUnsyncedWrites(client, punch) {
+  const result = await client.query(
+    `SELECT 1 FROM punch_events WHERE punch_id = $1 AND status IN ('pending', 'failed') LIMIT 1`,
+    [punch.id]
+  );
+  return result.rows.length > 0;
+}
+
+// Insert or refresh one imported record, auditing whatever it changes
+async function importRecord(companyId, record, { timezone, actor }) {
+  return withTransaction(async client => {
+    const values = {
+      clock_in: new Date(record.clockIn),
+      clock_out: record.clockOut ? new Date(record.clockOut) : null,
+      location_type: record.locationType === 'Remote' ? 'Remote' : 'In-Person'
+    };
+    const existingResult = await client.query(
+      'SELECT * FROM punches WHERE company_id = $1 AND salesforce_id = $2 FOR UPDATE',
+      [companyId, record.externalId]
+    );
+    const existing = existingResult.rows[0];
+
+    if (!existing) {
+      const inserted = await client.query(
+        `INSERT INTO punches (company_id, user_email, employee_name, clock_in, clock_out, location_type, salesforce_id, timezone)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          companyId,
+          record.userEmail.toLowerCase(),
+          record.employeeName,
+          values.clock_in,
+          values.clock_out,
+          values.location_type,
+          record.externalId,
+          timezone
+        ]
+      );
+      await insertAuditEntry(client, inserted.rows[0], { action: 'import', actor, reason: 'Imported' });
+      return 'imported';
+    }
+
+    const unchanged = new Date(existing.clock_in).getTime() === values.clock_in.getTime()
+      && (existing.clock_out ? new Date(existing.clock_out).getTime() : null) === (values.clock_out ? values.clock_out.getTime() : null)
+      && existing.location_type === values.location_type;
+    if (unchanged) return 'unchanged';
+
+    // A local correction still on its way out would be silently reverted
+    if (existing.voided_at || await hasUnsyncedWrites(client, existing)) return 'conflict';
+
+    const updated = await client.query(
+      `UPDATE punches
+       SET clock_in = $2, clock_out = $3, location_type = $4, timezone = COALESCE($5, timezone), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [existing.id, values.clock_in, values.clock_out, values.location_type, timezone]
+    );
+    await insertAuditEntry(client, updated.rows[0], { action: 'import', actor, reason: 'Refreshed by import', before: existing });
+    return 'updated';
+  });
+}
+
+// Bring records from the company's system of record (see adapters/) into the local
+// store. Records already linked by their external ID are refreshed in place, unless the
+// local punch was voided or has changes not yet synced; those are reported as conflicts
+// and left alone. The salesforce_id column holds the external ID whichever system it
+// came from.
+async function importPunches(companyId, records, { timezone, actor } = {}) {
+  const result = { imported: 0, updated: 0, unchanged: 0, skipped: 0, conflicts: [] };
+
+  for (const record of records) {
+    if (!record.clockIn || !record.userEmail) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const outcome = await importRecord(companyId, record, { timezone, actor });
+      if (outcome === 'conflict') {
+        result.conflicts.push(record.externalId);
+      } else {
+        result[outcome]++;
+      }
+    } catch (error) {
+      // Typically a second open shift for someone who is already clocked in locally
+      logger.warn('Skipping record during import:', record.externalId, error.message);
+      result.skipped++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  LOCATION_TYPES,
+  getOpenShift,
+  getPunchById,
+  recordPunch,
+  createPunch,
+  editPunch,
+  voidPunch,
+  getPunchHistory,
+  insertAuditEntry,
+  queuePunchSync,
+  hasUnsyncedWrites,
+  isSameSubmission,
+  assertNoOverlap,
+  assertValidTimes,
+  listPunches,
+  listEmployeePage,
+  decodeCursor,
+  serializePunch,
+  summarizeEmployees,
+  importPunches,
+  changeSyncAdapter
+};
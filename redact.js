@@ -0,0 +1,57 @@
+// Strip credentials and personal data from values before they are logged
+const REDACTED = '[REDACTED]';
+const SECRET_KEY = /token|secret|password|authorization|cookie|signature|code_?verifier/i;
+// In a query string "code" is an OAuth authorization code; elsewhere it is usually an error code
+const SECRET_PARAM = /^code$/i;
+// Fields holding who someone is or where they were; emails are masked wherever they appear
+const PERSONAL_KEY = /^name$|employee_?name|person_?name|latitude|longitude|phone/i;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+const BEARER = /\bBearer\s+[A-Za-z0-9._~+/=-]+/gi;
+
+// jane.doe@example.com -> j***@example.com, which still tells users at one company apart
+function redactString(text) {
+  return text.replace(BEARER, `Bearer ${REDACTED}`).replace(EMAIL, '$1***@$2');
+}
+
+function redactUrl(url) {
+  const [path, query] = String(url).split('?');
+  if (!query) return redactString(path);
+
+  const params = new URLSearchParams(query);
+  for (const key of [...params.keys()]) {
+    if (SECRET_KEY.test(key) || SECRET_PARAM.test(key) || PERSONAL_KEY.test(key)) params.set(key, REDACTED);
+    else params.set(key, redactString(params.get(key)));
+  }
+  return `${redactString(path)}?${params.toString()}`;
+}
+
+// A copy of the value with every secret-looking or personal field replaced
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object' || depth > 5) return value;
+  if (value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = SECRET_KEY.test(key) || PERSONAL_KEY.test(key) ? REDACTED : redact(field, depth + 1);
+  }
+  return copy;
+}
+
+// The parts of an error that are safe to log. Axios errors carry the request config,
+// which holds bearer tokens and client secrets.
+function describeError(error) {
+  return {
+    message: redactString(String(error.message)),
+    code: error.code,
+    status: error.response?.status,
+    data: redact(error.response?.data)
+  };
+}
+
+module.exports = {
+  redact,
+  redactUrl,
+  describeError
+};
@@ -0,0 +1,86 @@
+// Re-encrypt stored Salesforce tokens, REST adapter auth tokens and webhook signing
+// secrets under the current key, including any still in plaintext. Run after adding a
+// new key to TOKEN_ENCRYPTION_KEYS; once it reports nothing left to do, the old key can
+// be removed.
+//
+//   npm run tokens:reencrypt
+require('dotenv').config();
+const { pool, withTransaction } = require('./db');
+const { loadKeys, encryptToken, decryptToken, needsReencryption } = require('./tokenCrypto');
+
+// Every sealed value a company row holds: its Salesforce tokens and the REST adapter's
+// auth token inside sync_adapter_config
+function companySecrets(company) {
+  return [company.salesforce_access_token, company.salesforce_refresh_token, company.sync_adapter_config?.authToken];
+}
+
+async function reencryptCompany(id) {
+  return withTransaction(async client => {
+    // Locked, so a token refreshed or an adapter reconfigured meanwhile waits for us
+    const locked = await client.query(
+      `SELECT id, salesforce_access_token, salesforce_refresh_token, sync_adapter_config
+       FROM companies WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+    const company = locked.rows[0];
+    if (!company || !companySecrets(company).some(needsReencryption)) return false;
+
+    const rekey = value => (value ? encryptToken(decryptToken(value)) : value);
+    const config = company.sync_adapter_config;
+    await client.query(
+      `UPDATE companies
+       SET salesforce_access_token = $2, salesforce_refresh_token = $3, sync_adapter_config = $4
+       WHERE id = $1`,
+      [
+        company.id,
+        rekey(company.salesforce_access_token),
+        rekey(company.salesforce_refresh_token),
+        config?.authToken ? { ...config, authToken: rekey(config.authToken) } : config
+      ]
+    );
+    return true;
+  });
+}
+
+async function reencryptTokens() {
+  const { currentId } = loadKeys();
+  const result = await pool.query(
+    `SELECT id, public_id, salesforce_access_token, salesforce_refresh_token, sync_adapter_config
+     FROM companies
+     WHERE salesforce_access_token IS NOT NULL OR salesforce_refresh_token IS NOT NULL
+        OR sync_adapter_config ? 'authToken'`
+  );
+
+  let updated = 0;
+  for (const company of result.rows) {
+    if (!companySecrets(company).some(needsReencryption)) continue;
+    if (await reencryptCompany(company.id)) updated++;
+  }
+
+  console.log(`🔐 Re-encrypted tokens for ${updated} of ${result.rows.length} companies with key ${currentId}`);
+
+  const webhooks = await pool.query('SELECT id, secret FROM webhook_subscriptions');
+  let rekeyed = 0;
+  for (const webhook of webhooks.rows) {
+    if (!needsReencryption(webhook.secret)) continue;
+    const write = await pool.query(
+      'UPDATE webhook_subscriptions SET secret = $2 WHERE id = $1 AND secret = $3',
+      [webhook.id, encryptToken(decryptToken(webhook.secret)), webhook.secret]
+    );
+    rekeyed += write.rowCount;
+  }
+  console.log(`🔐 Re-encrypted ${rekeyed} of ${webhooks.rows.length} webhook secrets with key ${currentId}`);
+
+  return updated + rekeyed;
+}
+
+if (require.main === module) {
+  reencryptTokens()
+    .catch(error => {
+      console.error('❌ Re-encryption failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { reencryptTokens };
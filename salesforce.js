@@ -0,0 +1,186 @@
+const { soql, query, queryOne, createRecord, updateRecord, deleteRecord } = require('./salesforceClient');
+const { DEFAULT_TIMEZONE, localDate } = require('./timezone');
+const { getFieldMapping, schemaProblem } = require('./salesforceSchema');
+const { notConnectedError } = require('./tokenManager');
+const { logger } = require('./logger');
+
+// Writing into an org whose last schema check failed would only fail record by record;
+// the sync worker waits on this like it does on a reconnect
+function assertSchemaReady(company) {
+  const problem = schemaProblem(company);
+  if (problem) {
+    const error = new Error(`Salesforce schema incomplete: ${problem}`);
+    error.schemaIncomplete = true;
+    throw error;
+  }
+}
+
+// Mirror one local punch onto its punch record (Workpunch__c unless mapped elsewhere), creating the record the first
+// time and deleting it once the punch is voided. Resolves with the Salesforce record ID.
+// An aborted signal stops it before its next call.
+async function mirrorPunch(company, punch, { signal } = {}) {
+  const tag = `[Punch ${punch.id}]`;
+
+  if (!company.salesforce_access_token) {
+    throw notConnectedError();
+  }
+  assertSchemaReady(company);
+
+  const { object, fields: f } = getFieldMapping(company).punch;
+  const userId = punch.user_email;
+  const clockInDate = new Date(punch.clock_in);
+
+  if (punch.voided_at) {
+    if (punch.salesforce_id) {
+      logger.info(`🗑️ ${tag} Deleting voided record:`, punch.salesforce_id);
+      // Resolves false if it is already gone in Salesforce
+      await deleteRecord(company, object, punch.salesforce_id, { signal });
+    }
+    return punch.salesforce_id;
+  }
+
+  const fields = {
+    [f.clockIn]: clockInDate.toISOString(),
+    [f.clockOut]: punch.clock_out ? new Date(punch.clock_out).toISOString() : null,
+    [f.locationType]: punch.location_type
+  };
+
+  let recordId = punch.salesforce_id;
+  if (!recordId) {
+    // An earlier attempt may have created the record and lost the response
+    const existing = await queryOne(company, soql`
+      SELECT Id
+      FROM ${soql.identifier(object)}
+      WHERE ${soql.identifier(f.employeeEmail)} = ${userId}
+      AND ${soql.identifier(f.clockIn)} = ${clockInDate}
+    `, { signal });
+    recordId = existing?.Id;
+  }
+
+  if (recordId) {
+    logger.info(`📝 ${tag} Updating record:`, recordId);
+    return updateRecord(company, object, recordId, fields, { signal });
+  }
+
+  // Extract name from email (everything before @)
+  const personName = userId.split('@')[0];
+
+  // The work date is the employee's local date at clock-in, not the server's
+  const timezone = punch.timezone || DEFAULT_TIMEZONE;
+  const dateStr = localDate(clockInDate, timezone);
+  logger.info(`🌍 ${tag} Using timezone:`, { timezone, workDate: dateStr });
+
+  const recordPayload = {
+    [f.name]: `${personName}-${dateStr}`,
+    ...fields,
+    [f.employeeEmail]: userId
+  };
+
+  logger.info(`📝 ${tag} Creating new record:`, recordPayload);
+  return createRecord(company, object, recordPayload, { signal });
+}
+
+// Find or create the employee's user record (Workpunch_User__c unless mapped elsewhere),
+// keeping its name current. Resolves with the record ID.
+async function upsertUserRecord(company, { email, name }, { signal } = {}) {
+  assertSchemaReady(company);
+  const { object, fields: f } = getFieldMapping(company).user;
+
+  const existing = await queryOne(company, soql`
+    SELECT Id, ${soql.identifier(f.name)}
+    FROM ${soql.identifier(object)}
+    WHERE ${soql.identifier(f.email)} = ${email}
+  `, { signal });
+
+  if (existing) {
+    if (existing[f.name] !== name) {
+      await updateRecord(company, object, existing.Id, { [f.name]: name }, { signal });
+    }
+    return existing.Id;
+  }
+
+  return createRecord(company, object, {
+    [f.name]: name,
+    [f.email]: email
+  }, { signal });
+}
+
+// The mapped punch fields to read, as [logical, apiName]. Optional fields are left
+// out if the last check found them missing.
+function readablePunchFields(company) {
+  const { fields } = getFieldMapping(company).punch;
+  const missing = new Set((company.salesforce_schema_status?.objects || [])
+    .flatMap(report => report.missingFields)
+    .filter(field => field.optional)
+    .map(field => field.field));
+  return Object.entries(fields).filter(([, field]) => !missing.has(field));
+}
+
+function toLogicalRecord(record, selected) {
+  const mapped = { Id: record.Id };
+  for (const [name, field] of selected) mapped[name] = record[field];
+  return mapped;
+}
+
+// Fetch punch records, optionally only those clocked in within [from, to), keyed by
+// logical field name: [{ Id, clockIn, clockOut, employeeEmail, ... }]
+async function fetchPunchRecords(company, { from, to } = {}) {
+  const { object, fields: f } = getFieldMapping(company).punch;
+  const clockIn = soql.identifier(f.clockIn);
+  const selected = readablePunchFields(company);
+
+  const conditions = [];
+  if (from) conditions.push(soql`${clockIn} >= ${from}`);
+  if (to) conditions.push(soql`${clockIn} < ${to}`);
+  const where = conditions.length > 0 ? soql`WHERE ${soql.join(conditions, ' AND ')}` : soql``;
+
+  const records = await query(company, soql`
+    SELECT Id, ${soql.join(selected.map(([, field]) => soql.identifier(field)), ', ')}
+    FROM ${soql.identifier(object)}
+    ${where}
+    ORDER BY ${clockIn}
+  `);
+  return records.map(record => toLogicalRecord(record, selected));
+}
+
+// Punch records changed (or deleted) at or after the given time, oldest change first,
+// with who changed them: [{ Id, clockIn, ..., deleted, modifiedAt, modifiedBy }]
+async function fetchChangedPunchRecords(company, since) {
+  const { object } = getFieldMapping(company).punch;
+  const selected = readablePunchFields(company);
+
+  const records = await query(company, soql`
+    SELECT Id, IsDeleted, LastModifiedDate, LastModifiedBy.Email,
+      ${soql.join(selected.map(([, field]) => soql.identifier(field)), ', ')}
+    FROM ${soql.identifier(object)}
+    WHERE LastModifiedDate >= ${since}
+    ORDER BY LastModifiedDate, Id
+  `, { includeDeleted: true });
+  return records.map(record => ({
+    ...toLogicalRecord(record, selected),
+    deleted: record.IsDeleted,
+    modifiedAt: record.LastModifiedDate,
+    modifiedBy: record.LastModifiedBy?.Email || null
+  }));
+}
+
+// The most recently changed punch record, deleted ones included, as { Id, modifiedAt };
+// null if there are none
+async function fetchLatestPunchChange(company) {
+  const { object } = getFieldMapping(company).punch;
+  const [record] = await query(company, soql`
+    SELECT Id, LastModifiedDate
+    FROM ${soql.identifier(object)}
+    ORDER BY LastModifiedDate DESC, Id DESC
+    LIMIT 1
+  `, { includeDeleted: true });
+  return record ? { Id: record.Id, modifiedAt: record.LastModifiedDate } : null;
+}
+
+module.exports = {
+  mirrorPunch,
+  upsertUserRecord,
+  fetchPunchRecords,
+  fetchChangedPunchRecords,
+  fetchLatestPunchChange
+};
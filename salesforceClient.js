@@ -0,0 +1,193 @@
+const axios = require('axios');
+const { getAccessToken, refreshAccessToken } = require('./tokenManager');
+const { logger, correlationHeaders } = require('./logger');
+const { salesforceRequests, salesforceOutcome } = require('./metrics');
+
+const API_VERSION = process.env.SALESFORCE_API_VERSION || 'v59.0';
+const DATA_PATH = `/services/data/${API_VERSION}`;
+// Queries over large objects can be slow, but a call must not hang a worker forever
+const REQUEST_TIMEOUT = Number(process.env.SALESFORCE_REQUEST_TIMEOUT) || 30 * 1000;
+const RECORD_ID = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+const API_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Render a value as a SOQL literal. Strings are quoted and escaped, dates become
+// datetime literals and arrays become lists for IN.
+function soqlLiteral(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) throw new TypeError('Cannot use an invalid date in SOQL');
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) throw new TypeError('Cannot use an empty list in SOQL');
+    return `(${value.map(soqlLiteral).join(', ')})`;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new TypeError('Cannot use a non-finite number in SOQL');
+    return String(value);
+  }
+  if (typeof value === 'boolean') return String(value);
+
+  const escaped = String(value).replace(/[\\'"\n\r\t\b\f]/g, char => ({
+    '\\': '\\\\',
+    "'": "\\'",
+    '"': '\\"',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\b': '\\b',
+    '\f': '\\f'
+  })[char]);
+  return `'${escaped}'`;
+}
+
+// A SOQL fragment whose interpolated values are literals, so input can't change the query:
+//   soql`SELECT Id FROM Workpunch_User__c WHERE Email__c = ${email}`
+// Fragments built with soql can be nested inside one another as they are.
+class Soql {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+function soql(strings, ...values) {
+  let text = strings[0];
+  values.forEach((value, index) => {
+    text += (value instanceof Soql ? value.text : soqlLiteral(value)) + strings[index + 1];
+  });
+  return new Soql(text);
+}
+
+// Join fragments, e.g. conditions with " AND "
+soql.join = (fragments, separator) => new Soql(fragments.map(fragment => fragment.text).join(separator));
+
+// An object or field API name, for queries whose names come from configuration
+soql.identifier = name => {
+  if (!API_NAME.test(String(name))) {
+    throw new TypeError(`Invalid Salesforce API name: ${name}`);
+  }
+  return new Soql(name);
+};
+
+function assertApiName(name) {
+  soql.identifier(name);
+  return name;
+}
+
+function assertRecordId(id) {
+  if (!RECORD_ID.test(String(id))) {
+    throw new Error(`Invalid Salesforce record ID: ${id}`);
+  }
+  return id;
+}
+
+// Send a request to the company's org. Paths are relative to the REST API root
+// (e.g. /query); absolute /services/... paths such as nextRecordsUrl are sent as
+// they are. A 401 means the token was revoked or timed out early; the call is
+// retried once with a refreshed token. An aborted config.signal cancels the call.
+async function request(company, { path, ...config }) {
+  const send = async token => {
+    config.signal?.throwIfAborted();
+    const labels = { company: company.public_id, method: (config.method || 'get').toUpperCase() };
+    try {
+      const response = await axios({
+        timeout: REQUEST_TIMEOUT,
+        ...config,
+        baseURL: company.salesforce_instance_url,
+        url: path.startsWith('/services/') ? path : `${DATA_PATH}${path}`,
+        headers: { ...config.headers, ...correlationHeaders(), Authorization: `Bearer ${token}` }
+      });
+      salesforceRequests.inc({ ...labels, outcome: salesforceOutcome() });
+      return response;
+    } catch (error) {
+      salesforceRequests.inc({ ...labels, outcome: salesforceOutcome(error) });
+      throw error;
+    }
+  };
+
+  const token = await getAccessToken(company);
+  try {
+    return await send(token);
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+    logger.info('🔁 Salesforce returned 401, retrying with a refreshed token:', company.public_id);
+    return send(await refreshAccessToken(company, token));
+  }
+}
+
+// Run a query built with soql and return every matching record, following
+// nextRecordsUrl past the batch limit. includeDeleted also returns records in the
+// recycle bin (queryAll), which carry IsDeleted = true.
+async function query(company, statement, { includeDeleted = false, signal } = {}) {
+  if (!(statement instanceof Soql)) {
+    throw new TypeError('Queries must be built with soql``');
+  }
+
+  const path = includeDeleted ? '/queryAll' : '/query';
+  let response = await request(company, { method: 'get', path, params: { q: statement.text }, signal });
+  const records = [...response.data.records];
+  while (!response.data.done && response.data.nextRecordsUrl) {
+    response = await request(company, { method: 'get', path: response.data.nextRecordsUrl, signal });
+    records.push(...response.data.records);
+  }
+  return records;
+}
+
+async function queryOne(company, statement, { signal } = {}) {
+  const [record] = await query(company, soql`${statement} LIMIT 1`, { signal });
+  return record || null;
+}
+
+async function createRecord(company, sobject, fields, { signal } = {}) {
+  const response = await request(company, { method: 'post', path: `/sobjects/${assertApiName(sobject)}`, data: fields, signal });
+  return response.data.id;
+}
+
+async function updateRecord(company, sobject, id, fields, { signal } = {}) {
+  await request(company, {
+    method: 'patch',
+    path: `/sobjects/${assertApiName(sobject)}/${assertRecordId(id)}`,
+    data: fields,
+    signal
+  });
+  return id;
+}
+
+// Resolves false if the record was already gone
+async function deleteRecord(company, sobject, id, { signal } = {}) {
+  try {
+    await request(company, { method: 'delete', path: `/sobjects/${assertApiName(sobject)}/${assertRecordId(id)}`, signal });
+    return true;
+  } catch (error) {
+    if (error.response?.status === 404) return false;
+    throw error;
+  }
+}
+
+// Describe an object; resolves null if the org has no such object
+async function describeObject(company, sobject) {
+  try {
+    const response = await request(company, { method: 'get', path: `/sobjects/${assertApiName(sobject)}/describe` });
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  API_VERSION,
+  soql,
+  soqlLiteral,
+  request,
+  query,
+  queryOne,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+  describeObject
+};
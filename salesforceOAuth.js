@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { pool, tokenHelpers } = require('./db');
+const { getSessionSecret } = require('./auth');
+const { tokenExpiry } = require('./tokenManager');
+const { describeError } = require('./redact');
+const { logger } = require('./logger');
+
+const PRODUCTION_LOGIN_HOST = 'login.salesforce.com';
+const SANDBOX_LOGIN_HOST = 'test.salesforce.com';
+// My Domain hosts, including sandbox, developer and scratch org variants
+const MY_DOMAIN_HOST = /^[a-z0-9][a-z0-9-]*(\.(sandbox|develop|scratch|demo|trailblaze))?\.my\.salesforce\.com$/;
+const STATE_TTL = 10 * 60; // seconds
+const STATE_AUDIENCE = 'salesforce-oauth';
+const TOKEN_REQUEST_TIMEOUT = 10 * 1000;
+
+// Errors about the request itself, safe to show the caller. Axios errors also carry a
+// status, so routes check expose rather than status.
+function oauthError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  return error;
+}
+
+function getOAuthConfig() {
+  const config = {
+    clientId: process.env.SALESFORCE_CLIENT_ID,
+    clientSecret: process.env.SALESFORCE_CLIENT_SECRET,
+    redirectUri: process.env.SALESFORCE_REDIRECT_URI,
+    scope: process.env.SALESFORCE_SCOPES || 'api refresh_token'
+  };
+  if (!config.clientId || !config.clientSecret || !config.redirectUri) {
+    throw new Error('SALESFORCE_CLIENT_ID, SALESFORCE_CLIENT_SECRET and SALESFORCE_REDIRECT_URI must be configured');
+  }
+  return config;
+}
+
+// Which login host to authorize against: environment "production" (the default) or
+// "sandbox", or a My Domain host such as acme.my.salesforce.com
+function resolveLoginHost({ environment, myDomain } = {}) {
+  if (myDomain) {
+    const host = String(myDomain).toLowerCase().replace(/^https:\/\//, '').replace(/\/+$/, '');
+    if (!MY_DOMAIN_HOST.test(host)) {
+      throw oauthError(400, 'myDomain must be a My Domain host such as acme.my.salesforce.com');
+    }
+    return host;
+  }
+  if (!environment || environment === 'production') return PRODUCTION_LOGIN_HOST;
+  if (environment === 'sandbox') return SANDBOX_LOGIN_HOST;
+  throw oauthError(400, 'environment must be production or sandbox');
+}
+
+const base64url = buffer => buffer.toString('base64url');
+
+// Start an authorization code flow with PKCE for the company. The code verifier stays
+// on the server; the browser only carries a signed, single-use state.
+async function createAuthorizeUrl(company, user, options) {
+  const config = getOAuthConfig();
+  const loginHost = resolveLoginHost(options);
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(48));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await pool.query(
+    `INSERT INTO salesforce_oauth_states (nonce, company_id, login_host, code_verifier, started_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 second')`,
+    [nonce, company.id, loginHost, codeVerifier, user.email, STATE_TTL]
+  );
+
+  const state = jwt.sign({ companyId: company.public_id }, getSessionSecret(), {
+    subject: nonce,
+    audience: STATE_AUDIENCE,
+    expiresIn: STATE_TTL
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return { authUrl: `https://${loginHost}/services/oauth2/authorize?${params}`, loginHost };
+}
+
+// Check the state returned to /api/callback and claim the flow it belongs to
+async function consumeState(state) {
+  let claims;
+  try {
+    claims = jwt.verify(state, getSessionSecret(), { audience: STATE_AUDIENCE });
+  } catch (error) {
+    throw oauthError(400, 'Invalid or expired state');
+  }
+
+  const result = await pool.query(
+    `UPDATE salesforce_oauth_states s
+     SET used_at = NOW()
+     FROM companies c
+     WHERE s.nonce = $1 AND s.used_at IS NULL AND s.expires_at > NOW()
+       AND c.id = s.company_id AND c.public_id = $2
+     RETURNING s.*, c.public_id`,
+    [claims.sub, claims.companyId]
+  );
+  if (result.rows.length === 0) {
+    throw oauthError(400, 'Invalid or expired state');
+  }
+  return result.rows[0];
+}
+
+// Exchange the authorization code at the host the flow started on and store the tokens
+async function completeAuthorization(state, code) {
+  const config = getOAuthConfig();
+  const flow = await consumeState(state);
+
+  logger.info('📡 Requesting tokens from Salesforce...', { companyId: flow.public_id, loginHost: flow.login_host });
+  const response = await axios.post(`https://${flow.login_host}/services/oauth2/token`, null, {
+    params: {
+      grant_type: 'authorization_code',
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      redirect_uri: config.redirectUri,
+      code_verifier: flow.code_verifier,
+      code
+    },
+    timeout: TOKEN_REQUEST_TIMEOUT
+  });
+
+  const { access_token, refresh_token, instance_url } = response.data;
+  if (!access_token || !refresh_token || !instance_url) {
+    throw new Error('Salesforce did not return access and refresh tokens');
+  }
+
+  await tokenHelpers.storeTokens(flow.public_id, {
+    access_token,
+    refresh_token,
+    instance_url,
+    login_host: flow.login_host,
+    expires_at: tokenExpiry(response.data)
+  });
+  return flow;
+}
+
+// Revoke the company's tokens in Salesforce and forget them. Revoking the refresh
+// token also revokes every access token issued from it.
+async function disconnect(company) {
+  const { access_token, refresh_token } = tokenHelpers.readTokens(company);
+  const token = refresh_token || access_token;
+
+  if (token) {
+    try {
+      await axios.post(
+        `${company.salesforce_instance_url}/services/oauth2/revoke`,
+        new URLSearchParams({ token }).toString(),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: TOKEN_REQUEST_TIMEOUT }
+      );
+    } catch (error) {
+      // 400 means the token was already revoked or expired
+      if (error.response?.status !== 400) {
+        logger.error('❌ Failed to revoke Salesforce token:', describeError(error));
+        throw error;
+      }
+    }
+  }
+
+  await tokenHelpers.clearTokens(company.id);
+}
+
+module.exports = {
+  resolveLoginHost,
+  createAuthorizeUrl,
+  completeAuthorization,
+  disconnect
+};
@@ -0,0 +1,162 @@
+const { describeObject } = require('./salesforceClient');
+const { companyHelpers } = require('./db');
+const { logger } = require('./logger');
+
+// Logical objects and fields we read and write, with the API names used unless a
+// company maps them elsewhere, and the Salesforce field types each may have.
+// Fields are written when records are created; "updated" ones are also changed later.
+const SCHEMA = {
+  punch: {
+    object: 'Workpunch__c',
+    fields: {
+      name: { field: 'Name', types: ['string'] },
+      clockIn: { field: 'Punch_In_Time__c', types: ['datetime'], updated: true },
+      clockOut: { field: 'Punch_Out_Time__c', types: ['datetime'], updated: true },
+      locationType: { field: 'Location_Type__c', types: ['picklist', 'string'], updated: true },
+      employeeEmail: { field: 'Employee_Email__c', types: ['email', 'string'] },
+      // Only read when importing
+      employeeName: { field: 'Employee_Name__c', types: ['string'], optional: true }
+    }
+  },
+  user: {
+    object: 'Workpunch_User__c',
+    fields: {
+      name: { field: 'Name', types: ['string'], updated: true },
+      email: { field: 'Email__c', types: ['email', 'string'] }
+    }
+  }
+};
+
+const API_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// A bad mapping from the admin; safe to show them, unlike a status from Salesforce
+function mappingError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.expose = true;
+  return error;
+}
+
+// The company's mapping from logical names to API names, filled in with defaults:
+//   { punch: { object, fields: { clockIn: 'Punch_In_Time__c', ... } }, user: { ... } }
+function getFieldMapping(company) {
+  const overrides = company.salesforce_field_mapping || {};
+  const mapping = {};
+  for (const [logical, spec] of Object.entries(SCHEMA)) {
+    const override = overrides[logical] || {};
+    const fields = {};
+    for (const [name, field] of Object.entries(spec.fields)) {
+      fields[name] = override.fields?.[name] || field.field;
+    }
+    mapping[logical] = { object: override.object || spec.object, fields };
+  }
+  return mapping;
+}
+
+// Check a partial mapping supplied by an admin; only known names and valid API names
+// are accepted, since they end up in queries and URLs
+function validateFieldMapping(input) {
+  const mapping = {};
+  for (const [logical, override] of Object.entries(input || {})) {
+    const spec = SCHEMA[logical];
+    if (!spec) {
+      throw mappingError(`Unknown object: ${logical}. Expected one of: ${Object.keys(SCHEMA).join(', ')}`);
+    }
+
+    const { object, fields = {} } = override || {};
+    if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+      throw mappingError(`${logical}.fields must be an object`);
+    }
+    if (object !== undefined && !API_NAME.test(String(object))) {
+      throw mappingError(`${logical}.object must be a Salesforce API name`);
+    }
+    for (const [name, field] of Object.entries(fields)) {
+      if (!spec.fields[name]) {
+        throw mappingError(`Unknown field ${logical}.${name}. Expected one of: ${Object.keys(spec.fields).join(', ')}`);
+      }
+      if (!API_NAME.test(String(field))) {
+        throw mappingError(`${logical}.fields.${name} must be a Salesforce API name`);
+      }
+    }
+
+    mapping[logical] = { ...(object && { object }), fields: { ...fields } };
+  }
+  return mapping;
+}
+
+// Describe each mapped object and report what is missing or unusable:
+//   { ok, checkedAt, objects: [{ logical, object, found, missingFields, invalidFields }] }
+async function verifySchema(company) {
+  const mapping = getFieldMapping(company);
+  const objects = [];
+
+  for (const [logical, spec] of Object.entries(SCHEMA)) {
+    const { object, fields } = mapping[logical];
+    const describe = await describeObject(company, object);
+    const report = { logical, object, found: Boolean(describe), missingFields: [], invalidFields: [] };
+
+    const described = new Map((describe?.fields || []).map(field => [field.name.toLowerCase(), field]));
+    for (const [name, field] of Object.entries(spec.fields)) {
+      const actual = described.get(fields[name].toLowerCase());
+      const invalid = problem => report.invalidFields.push({ logical: name, field: fields[name], problem });
+
+      if (!actual) {
+        report.missingFields.push({
+          logical: name,
+          field: fields[name],
+          expectedTypes: field.types,
+          ...(field.optional && { optional: true })
+        });
+      } else if (!field.types.includes(actual.type)) {
+        invalid(`type is ${actual.type}, expected ${field.types.join(' or ')}`);
+      } else if (!field.optional && !actual.createable) {
+        invalid('cannot be set by the connected user');
+      } else if (field.updated && !actual.updateable) {
+        invalid('cannot be updated by the connected user');
+      }
+    }
+    objects.push(report);
+  }
+
+  const ok = objects.every(report =>
+    report.found && report.missingFields.every(field => field.optional) && report.invalidFields.length === 0
+  );
+  return { ok, checkedAt: new Date().toISOString(), objects };
+}
+
+// Verify the org and remember the outcome, so the sync worker can hold off on an org
+// that cannot take our records
+async function checkSchema(company) {
+  const status = await verifySchema(company);
+  await companyHelpers.updateSalesforceSchema(company.id, { status });
+  if (!status.ok) {
+    logger.warn('⚠️ Salesforce schema incomplete:', { companyId: company.public_id, objects: status.objects });
+  }
+  return status;
+}
+
+// Why records can't be written yet, or null if the last check passed (or never ran)
+function schemaProblem(company) {
+  const status = company.salesforce_schema_status;
+  if (!status || status.ok) return null;
+
+  const problems = [];
+  for (const report of status.objects) {
+    if (!report.found) {
+      problems.push(`object ${report.object} not found`);
+      continue;
+    }
+    for (const field of report.missingFields.filter(field => !field.optional)) problems.push(`${report.object}.${field.field} missing`);
+    for (const field of report.invalidFields) problems.push(`${report.object}.${field.field} ${field.problem}`);
+  }
+  return problems.join('; ');
+}
+
+module.exports = {
+  SCHEMA,
+  getFieldMapping,
+  validateFieldMapping,
+  verifySchema,
+  checkSchema,
+  schemaProblem
+};
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LABOR_RULES, validateLaborRules, computeHours } = require('../laborRules');
+
+const rules = overrides => ({ ...DEFAULT_LABOR_RULES, ...overrides });
+
+let nextId = 1;
+const punch = (clockIn, clockOut, fields = {}) => ({
+  id: nextId++,
+  clock_in: clockIn,
+  clock_out: clockOut,
+  timezone: 'UTC',
+  location_type: 'In-Person',
+  ...fields
+});
+
+test('weekly overtime starts once the week passes the threshold', () => {
+  // Monday 12 October 2026 through Friday, nine hours a day
+  const punches = [12, 13, 14, 15, 16].map(day => punch(`2026-10-${day}T08:00:00Z`, `2026-10-${day}T17:00:00Z`));
+  const { totals, weeks, days } = computeHours(punches);
+
+  assert.deepEqual(totals, { workedHours: 45, regularHours: 40, overtimeHours: 5, doubleTimeHours: 0 });
+  assert.equal(weeks.length, 1);
+  assert.equal(weeks[0].weekStart, '2026-10-12');
+  // Overtime lands on the day that crossed the threshold
+  assert.equal(days[3].regularHours, 9);
+  assert.equal(days[4].regularHours, 4);
+  assert.equal(days[4].overtimeHours, 5);
+});
+
+test('weekly overtime resets on the configured week start', () => {
+  const punches = [12, 13, 14, 15, 16].map(day => punch(`2026-10-${day}T08:00:00Z`, `2026-10-${day}T17:00:00Z`));
+  // Weeks starting on Wednesday split the shifts 2 + 3
+  const { totals, weeks } = computeHours(punches, rules({ weekStartsOn: 3 }));
+
+  assert.equal(weeks.length, 2);
+  assert.equal(totals.overtimeHours, 0);
+});
+
+test('daily overtime and double time split a long shift', () => {
+  const { totals } = computeHours(
+    [punch('2026-10-12T06:00:00Z', '2026-10-12T19:00:00Z')],
+    rules({ dailyOvertimeHours: 8, dailyDoubleTimeHours: 12, weeklyOvertimeHours: null })
+  );
+
+  assert.deepEqual(totals, { workedHours: 13, regularHours: 8, overtimeHours: 4, doubleTimeHours: 1 });
+});
+
+test('daily thresholds apply to a day\'s shifts together', () => {
+  const { shifts, totals } = computeHours(
+    [
+      punch('2026-10-12T06:00:00Z', '2026-10-12T11:00:00Z', { id: 'morning' }),
+      punch('2026-10-12T12:00:00Z', '2026-10-12T17:00:00Z', { id: 'afternoon' })
+    ],
+    rules({ dailyOvertimeHours: 8, weeklyOvertimeHours: null })
+  );
+
+  assert.equal(totals.overtimeHours, 2);
+  assert.equal(shifts.get('morning').overtimeHours, 0);
+  assert.equal(shifts.get('afternoon').regularHours, 3);
+  assert.equal(shifts.get('afternoon').overtimeHours, 2);
+});
+
+test('unpaid break comes off shifts long enough to require one', () => {
+  const breakRules = rules({ unpaidBreakMinutes: 30, unpaidBreakAfterHours: 6 });
+  const { shifts } = computeHours(
+    [
+      punch('2026-10-12T08:00:00Z', '2026-10-12T15:00:00Z', { id: 'long' }),
+      punch('2026-10-13T08:00:00Z', '2026-10-13T13:00:00Z', { id: 'short' })
+    ],
+    breakRules
+  );
+
+  assert.equal(shifts.get('long').workedHours, 6.5);
+  assert.equal(shifts.get('short').workedHours, 5);
+});
+
+test('clock times are rounded before hours are counted', () => {
+  const { totals } = computeHours(
+    [punch('2026-10-12T08:08:00Z', '2026-10-12T16:52:00Z')],
+    rules({ roundingMinutes: 15 })
+  );
+
+  assert.equal(totals.workedHours, 8.5);
+});
+
+test('overnight shifts count on the clock-in day by default', () => {
+  // 22:00 to 06:00 in New York
+  const { days } = computeHours(
+    [punch('2026-10-13T02:00:00Z', '2026-10-13T10:00:00Z', { timezone: 'America/New_York' })],
+    rules({ dailyOvertimeHours: 4, weeklyOvertimeHours: null })
+  );
+
+  assert.equal(days.length, 1);
+  assert.equal(days[0].date, '2026-10-12');
+  assert.equal(days[0].regularHours, 4);
+  assert.equal(days[0].overtimeHours, 4);
+});
+
+test('overnight shifts split at local midnight when configured', () => {
+  const { days, shifts, totals } = computeHours(
+    [punch('2026-10-13T02:00:00Z', '2026-10-13T10:00:00Z', { id: 'night', timezone: 'America/New_York' })],
+    rules({ midnightHandling: 'split', dailyOvertimeHours: 4, weeklyOvertimeHours: null })
+  );
+
+  assert.deepEqual(days.map(day => [day.date, day.workedHours]), [['2026-10-12', 2], ['2026-10-13', 6]]);
+  assert.equal(days[0].overtimeHours, 0);
+  assert.equal(days[1].overtimeHours, 2);
+  assert.deepEqual(shifts.get('night'), { workedHours: 8, regularHours: 6, overtimeHours: 2, doubleTimeHours: 0 });
+  assert.equal(totals.workedHours, 8);
+});
+
+test('a split shift\'s break is spread across its workdays', () => {
+  const { days } = computeHours(
+    [punch('2026-10-12T20:00:00Z', '2026-10-13T04:00:00Z')],
+    rules({ midnightHandling: 'split', unpaidBreakMinutes: 60, unpaidBreakAfterHours: 6 })
+  );
+
+  assert.deepEqual(days.map(day => day.workedHours), [3.5, 3.5]);
+});
+
+test('open shifts are listed on their day without hours', () => {
+  const { days, shifts, totals } = computeHours([punch('2026-10-12T08:00:00Z', null, { id: 'open' })]);
+
+  assert.equal(days.length, 1);
+  assert.equal(days[0].firstStart.toISOString(), '2026-10-12T08:00:00.000Z');
+  assert.equal(totals.workedHours, 0);
+  assert.equal(shifts.get('open').workedHours, 0);
+});
+
+test('validateLaborRules rejects inconsistent thresholds', () => {
+  assert.throws(
+    () => validateLaborRules({ dailyOvertimeHours: 10, dailyDoubleTimeHours: 8 }),
+    { status: 400, message: 'dailyDoubleTimeHours must be greater than dailyOvertimeHours' }
+  );
+  assert.throws(() => validateLaborRules({ overtime: 8 }), { status: 400, message: 'Unknown labor rule: overtime' });
+  assert.equal(validateLaborRules({ weeklyOvertimeHours: null }).weeklyOvertimeHours, null);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const local = require('../adapters/local');
+
+const company = { id: 1 };
+const other = { id: 2 };
+
+const punch = (id, clockIn, clockOut = null) => ({
+  id,
+  user_email: 'ana@example.com',
+  employee_name: 'Ana',
+  clock_in: clockIn,
+  clock_out: clockOut,
+  location_type: 'Remote'
+});
+
+test.beforeEach(() => local.reset());
+
+test('upsertUser returns the same id for the same email', async () => {
+  const first = await local.upsertUser(company, { email: 'ana@example.com', name: 'Ana' });
+  const again = await local.upsertUser(company, { email: 'ana@example.com', name: 'Ana B' });
+
+  assert.equal(first, again);
+  assert.equal(local.records(company).users.size, 1);
+  assert.equal(local.records(company).users.get(first).name, 'Ana B');
+});
+
+test('closeShift updates the record openShift wrote', async () => {
+  const opened = await local.openShift(company, punch(7, '2026-10-12T08:00:00Z'));
+  const closed = await local.closeShift(company, punch(7, '2026-10-12T08:00:00Z', '2026-10-12T16:00:00Z'));
+
+  assert.equal(opened, closed);
+  const [shift] = await local.listPunches(company);
+  assert.deepEqual(shift, {
+    externalId: opened,
+    userEmail: 'ana@example.com',
+    employeeName: 'Ana',
+    clockIn: '2026-10-12T08:00:00.000Z',
+    clockOut: '2026-10-12T16:00:00.000Z',
+    locationType: 'Remote'
+  });
+});
+
+test('removeShift deletes the record', async () => {
+  await local.openShift(company, punch(7, '2026-10-12T08:00:00Z'));
+  await local.removeShift(company, { ...punch(7, '2026-10-12T08:00:00Z'), salesforce_id: 'local-7' });
+
+  assert.deepEqual(await local.listPunches(company), []);
+});
+
+test('listPunches filters by clock-in and sorts by it', async () => {
+  await local.openShift(company, punch(3, '2026-10-14T08:00:00Z'));
+  await local.openShift(company, punch(1, '2026-10-12T08:00:00Z'));
+  await local.openShift(company, punch(2, '2026-10-13T08:00:00Z'));
+
+  const all = await local.listPunches(company);
+  assert.deepEqual(all.map(shift => shift.externalId), ['local-1', 'local-2', 'local-3']);
+
+  const ranged = await local.listPunches(company, {
+    from: new Date('2026-10-13T00:00:00Z'),
+    to: new Date('2026-10-14T08:00:00Z')
+  });
+  assert.deepEqual(ranged.map(shift => shift.externalId), ['local-2']);
+});
+
+test('companies keep separate records', async () => {
+  await local.openShift(company, punch(1, '2026-10-12T08:00:00Z'));
+
+  assert.deepEqual(await local.listPunches(other), []);
+  local.reset();
+  assert.deepEqual(await local.listPunches(company), []);
+});
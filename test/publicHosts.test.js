@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPublicAddress, hostProblem, assertPublicHost } = require('../publicHosts');
+
+test('private, loopback and link-local addresses are not public', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.5.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fdaa:0:1::3', '::ffff:10.0.0.1', '::ffff:127.0.0.1']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('public addresses are allowed', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  assert.equal(isPublicAddress('example.com'), false);
+});
+
+test('URLs naming a private host are rejected before any lookup', () => {
+  assert.equal(hostProblem('https://localhost/hooks'), 'must not point at this machine');
+  assert.equal(hostProblem('https://api.localhost/hooks'), 'must not point at this machine');
+  assert.equal(hostProblem('https://169.254.169.254/latest'), 'must not point at a private address');
+  assert.equal(hostProblem('https://[fdaa::2]:8080/'), 'must not point at a private address');
+  assert.equal(hostProblem('https://hr.example.com/api'), null);
+
+  assert.throws(() => assertPublicHost('https://10.0.0.1/'), { code: 'EPRIVATEHOST' });
+  assert.doesNotThrow(() => assertPublicHost('https://hr.example.com/api'));
+});
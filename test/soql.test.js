@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { soql, soqlLiteral } = require('../salesforceClient');
+
+test('strings are quoted with quotes and backslashes escaped', () => {
+  assert.equal(soqlLiteral("O'Brien"), "'O\\'Brien'");
+  assert.equal(soqlLiteral('back\\slash'), "'back\\\\slash'");
+  assert.equal(soqlLiteral('say "hi"'), "'say \\\"hi\\\"'");
+  assert.equal(soqlLiteral('line\nbreak\ttab\r'), "'line\\nbreak\\ttab\\r'");
+});
+
+test('an injection attempt stays inside its literal', () => {
+  const email = "x' OR Email__c != '";
+  const query = soql`SELECT Id FROM Workpunch_User__c WHERE Email__c = ${email}`;
+
+  assert.equal(query.text, "SELECT Id FROM Workpunch_User__c WHERE Email__c = 'x\\' OR Email__c != \\''");
+});
+
+test('a trailing backslash cannot escape the closing quote', () => {
+  assert.equal(soqlLiteral('abc\\'), "'abc\\\\'");
+});
+
+test('non-string values render as SOQL literals', () => {
+  assert.equal(soqlLiteral(null), 'null');
+  assert.equal(soqlLiteral(undefined), 'null');
+  assert.equal(soqlLiteral(42.5), '42.5');
+  assert.equal(soqlLiteral(true), 'true');
+  assert.equal(soqlLiteral(new Date('2026-10-12T08:00:00Z')), '2026-10-12T08:00:00.000Z');
+  assert.equal(soqlLiteral(['a', "b'c", 3]), "('a', 'b\\'c', 3)");
+});
+
+test('values that have no SOQL literal are rejected', () => {
+  assert.throws(() => soqlLiteral(new Date('not a date')), TypeError);
+  assert.throws(() => soqlLiteral([]), TypeError);
+  assert.throws(() => soqlLiteral(NaN), TypeError);
+  assert.throws(() => soqlLiteral(Infinity), TypeError);
+});
+
+test('fragments nest without being escaped again', () => {
+  const conditions = [soql`Email__c = ${"o'neil@example.com"}`, soql`Active__c = ${true}`];
+  const query = soql`SELECT Id FROM Workpunch_User__c WHERE ${soql.join(conditions, ' AND ')}`;
+
+  assert.equal(query.text, "SELECT Id FROM Workpunch_User__c WHERE Email__c = 'o\\'neil@example.com' AND Active__c = true");
+  assert.equal(String(query), query.text);
+});
+
+test('identifiers must be plain API names', () => {
+  assert.equal(soql`SELECT Id FROM ${soql.identifier('Workpunch_Shift__c')}`.text, 'SELECT Id FROM Workpunch_Shift__c');
+  assert.throws(() => soql.identifier('Account WHERE Id != null'), TypeError);
+  assert.throws(() => soql.identifier('1Field'), TypeError);
+  assert.throws(() => soql.identifier(''), TypeError);
+});
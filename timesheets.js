@@ -0,0 +1,172 @@
+const Cursor = require('pg-cursor');
+const ExcelJS = require('exceljs');
+const { pool } = require('./db');
+const { localTime } = require('./timezone');
+const { computeHours } = require('./laborRules');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const CURSOR_BATCH_SIZE = 500;
+
+const TIMESHEET_COLUMNS = [
+  { header: 'Employee Email', key: 'email' },
+  { header: 'Employee Name', key: 'name' },
+  { header: 'Date', key: 'date' },
+  { header: 'Timezone', key: 'timezone' },
+  { header: 'First Clock In', key: 'firstClockIn' },
+  { header: 'Last Clock Out', key: 'lastClockOut' },
+  { header: 'Remote Hours', key: 'remoteHours' },
+  { header: 'In-Person Hours', key: 'inPersonHours' },
+  { header: 'Daily Total Hours', key: 'dailyHours' },
+  { header: 'Regular Hours', key: 'regularHours' },
+  { header: 'Overtime Hours', key: 'overtimeHours' },
+  { header: 'Double-Time Hours', key: 'doubleTimeHours' },
+  { header: 'Week Starting', key: 'weekStart' },
+  { header: 'Weekly Total Hours', key: 'weeklyHours' },
+  { header: 'Weekly Regular Hours', key: 'weeklyRegularHours' },
+  { header: 'Weekly Overtime Hours', key: 'weeklyOvertimeHours' },
+  { header: 'Weekly Double-Time Hours', key: 'weeklyDoubleTimeHours' }
+];
+
+// Turn one employee's punches (ordered by clock-in) into one row per workday,
+// with hours classified under the company's labor rules
+function buildDayRows(punches, rules) {
+  const { days, weeks } = computeHours(punches, rules);
+  const weekTotals = new Map(weeks.map(week => [week.weekStart, week]));
+  const { user_email: email, name } = punches[0];
+
+  return days.map(day => {
+    const week = weekTotals.get(day.weekStart);
+    return {
+      email,
+      name: name || '',
+      date: day.date,
+      timezone: day.timezone,
+      firstClockIn: day.firstStart ? localTime(day.firstStart, day.timezone) : '',
+      lastClockOut: day.lastEnd ? localTime(day.lastEnd, day.timezone) : '',
+      remoteHours: day.remoteHours,
+      inPersonHours: day.inPersonHours,
+      dailyHours: day.workedHours,
+      regularHours: day.regularHours,
+      overtimeHours: day.overtimeHours,
+      doubleTimeHours: day.doubleTimeHours,
+      weekStart: day.weekStart,
+      weeklyHours: week.workedHours,
+      weeklyRegularHours: week.regularHours,
+      weeklyOvertimeHours: week.overtimeHours,
+      weeklyDoubleTimeHours: week.doubleTimeHours
+    };
+  });
+}
+
+// Read the period's punches through a cursor and yield them one employee at a time,
+// so only a single employee's punches are held in memory
+async function* employeePunches(companyId, { from, to }) {
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(
+    `SELECT p.*, COALESCE(u.name, p.employee_name) AS name
+     FROM punches p
+     LEFT JOIN users u ON u.company_id = p.company_id AND u.email = p.user_email
+     WHERE p.company_id = $1 AND p.voided_at IS NULL AND p.clock_in >= $2 AND p.clock_in < $3
+     ORDER BY p.user_email, p.clock_in`,
+    [companyId, from, to]
+  ));
+
+  try {
+    let current = [];
+    for (;;) {
+      const rows = await cursor.read(CURSOR_BATCH_SIZE);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        if (current.length > 0 && current[0].user_email !== row.user_email) {
+          yield current;
+          current = [];
+        }
+        current.push(row);
+      }
+    }
+    if (current.length > 0) yield current;
+  } finally {
+    await cursor.close();
+    client.release();
+  }
+}
+
+// Quote a CSV field, and defuse values a spreadsheet would run as a formula
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The client went away before the export finished
+function closedError() {
+  return new Error('Export stream closed before the timesheet was written');
+}
+
+function csvWriter(stream) {
+  // Waits for 'drain' when the stream is full, but gives up if it closes or fails first,
+  // since 'drain' then never comes
+  const writeLine = fields => new Promise((resolve, reject) => {
+    if (stream.destroyed) return reject(closedError());
+    if (stream.write(fields.map(csvField).join(',') + '\r\n')) return resolve();
+
+    const settle = error => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+      stream.off('error', onError);
+      error ? reject(error) : resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(closedError());
+    const onError = error => settle(error);
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+    stream.once('error', onError);
+  });
+
+  return {
+    start: () => writeLine(TIMESHEET_COLUMNS.map(column => column.header)),
+    addRow: row => writeLine(TIMESHEET_COLUMNS.map(column => row[column.key])),
+    finish: async () => stream.end()
+  };
+}
+
+function xlsxWriter(stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Timesheet');
+
+  return {
+    start: async () => {
+      sheet.columns = TIMESHEET_COLUMNS.map(column => ({ ...column, width: 18 }));
+    },
+    addRow: async row => sheet.addRow(row).commit(),
+    finish: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+// Stream a timesheet for [from, to) to the given writable stream
+async function writeTimesheet(companyId, period, rules, format, stream) {
+  const writer = format === 'xlsx' ? xlsxWriter(stream) : csvWriter(stream);
+
+  await writer.start();
+  // Leaving the loop by throwing closes the cursor and returns its client to the pool
+  for await (const punches of employeePunches(companyId, period)) {
+    if (stream.destroyed) throw closedError();
+    for (const row of buildDayRows(punches, rules)) {
+      await writer.addRow(row);
+    }
+  }
+  await writer.finish();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildDayRows,
+  writeTimesheet
+};
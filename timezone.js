@@ -0,0 +1,126 @@
+// Employees' timezones are either IANA zone names (America/Chicago) or fixed UTC
+// offsets normalized to +HH:MM / -HH:MM. Punches made before a zone was recorded
+// are treated as UTC.
+const DEFAULT_TIMEZONE = 'UTC';
+
+const OFFSET_PATTERN = /^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i;
+
+function parseOffset(timezone) {
+  const match = OFFSET_PATTERN.exec(timezone);
+  if (!match) return null;
+
+  const [, sign, hours, minutes = '00'] = match;
+  if (Number(hours) > 14 || Number(minutes) > 59) return null;
+  return {
+    text: `${sign}${hours.padStart(2, '0')}:${minutes}`,
+    ms: (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000
+  };
+}
+
+// Validate a client-supplied timezone and return it in its stored form, or null if
+// it is not a known IANA zone or UTC offset. Bare abbreviations such as EST or IST
+// are rejected because they are ambiguous.
+function normalizeTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone.trim()) return null;
+  const value = timezone.trim();
+
+  if (/^(Z|UTC|GMT|Etc\/UTC)$/i.test(value)) return 'UTC';
+
+  const offset = parseOffset(value);
+  if (offset) return offset.ms === 0 ? 'UTC' : offset.text;
+
+  if (!value.includes('/')) return null;
+  try {
+    // Store the zone under its canonical name, e.g. america/chicago -> America/Chicago
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Shift an instant so its UTC fields read as wall-clock time in a fixed-offset zone
+function shiftToOffset(date, timezone) {
+  const offset = parseOffset(timezone);
+  return offset ? new Date(date.getTime() + offset.ms) : null;
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in the given zone
+function localDate(date, timezone = DEFAULT_TIMEZONE) {
+  const shifted = shiftToOffset(date, timezone);
+  if (shifted) return shifted.toISOString().slice(0, 10);
+
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+// Wall-clock time (HH:mm) of an instant in the given zone
+function localTime(date, timezone = DEFAULT_TIMEZONE) {
+  const shifted = shiftToOffset(date, timezone);
+  if (shifted) return shifted.toISOString().slice(11, 16);
+
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+}
+
+// YYYY-MM-DD date the given number of days after another
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().slice(0, 10);
+}
+
+// First day of the week a YYYY-MM-DD date falls in. weekStartsOn is 0 for Sunday
+// through 6 for Saturday, defaulting to Monday.
+function weekStart(dateStr, weekStartsOn = 1) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return addDays(dateStr, -((weekday - weekStartsOn + 7) % 7));
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function zoneOffset(date, timezone) {
+  const offset = parseOffset(timezone);
+  if (offset) return offset.ms;
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant local midnight begins on a YYYY-MM-DD date in the given zone
+function startOfLocalDay(dateStr, timezone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day);
+  // Re-check the offset at the first estimate in case a DST change falls in between
+  const first = guess - zoneOffset(new Date(guess), timezone);
+  return new Date(guess - zoneOffset(new Date(first), timezone));
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  normalizeTimezone,
+  localDate,
+  localTime,
+  addDays,
+  weekStart,
+  startOfLocalDay
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Salesforce tokens are stored as "enc:<keyId>:<iv>:<authTag>:<ciphertext>" (base64 parts),
+// sealed with AES-256-GCM. Keys come from TOKEN_ENCRYPTION_KEYS, a comma-separated list
+// of "<keyId>:<base64 32-byte key>". New values use TOKEN_ENCRYPTION_KEY_ID, or the last
+// key listed; older keys stay listed until `npm run tokens:reencrypt` has moved every
+// token off them.
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+
+let keyring;
+
+function loadKeys() {
+  if (keyring) return keyring;
+
+  const entries = (process.env.TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+  }
+
+  const keys = new Map();
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <keyId>:<base64 key>');
+    }
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key ${id} must be 32 bytes`);
+    }
+    keys.set(id, key);
+  }
+
+  const currentId = process.env.TOKEN_ENCRYPTION_KEY_ID || Array.from(keys.keys()).pop();
+  if (!keys.has(currentId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID ${currentId} is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, currentId };
+  return keyring;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+function encryptToken(plaintext) {
+  if (plaintext === null || plaintext === undefined) return null;
+
+  const { keys, currentId } = loadKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [PREFIX, currentId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')]
+    .join(':');
+}
+
+// Values written before encryption was introduced are passed through as they are
+function decryptToken(value) {
+  if (value === null || value === undefined || !isEncrypted(value)) return value ?? null;
+
+  const [, keyId, iv, tag, ciphertext] = value.split(':');
+  const key = loadKeys().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Token was encrypted with unknown key ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Whether a stored value is plaintext or sealed with a key other than the current one
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[1] !== loadKeys().currentId;
+}
+
+module.exports = {
+  loadKeys,
+  encryptToken,
+  decryptToken,
+  needsReencryption
+};
@@ -0,0 +1,224 @@
+const axios = require('axios');
+const { pool, withTransaction, tokenHelpers } = require('./db');
+const { describeError } = require('./redact');
+const { emitWebhookEvent } = require('./webhooks');
+const { logger } = require('./logger');
+const { tokenRefreshes } = require('./metrics');
+const { track } = require('./lifecycle');
+
+// Salesforce does not say when an access token expires; it lasts as long as the org's
+// session timeout, two hours unless changed
+const TOKEN_TTL = (Number(process.env.SALESFORCE_TOKEN_TTL_MINUTES) || 120) * 60 * 1000;
+// Tokens this close to expiring are refreshed before use
+const REFRESH_MARGIN = 10 * 60 * 1000; // 10 minutes
+const REFRESH_TOKEN_INTERVAL = Number(process.env.REFRESH_TOKEN_INTERVAL) || 5 * 60 * 1000; // 5 minutes
+const TOKEN_REQUEST_TIMEOUT = 10 * 1000;
+// Longer than a token request can take, so a claim outlives the call it covers
+const REFRESH_CLAIM_TTL = 30 * 1000;
+const REFRESH_WAIT_INTERVAL = 500;
+
+// Refreshes in flight, by company id, so concurrent callers share one
+const inflight = new Map();
+
+function reconnectError(company) {
+  const error = new Error('Salesforce connection needs to be re-authorized');
+  error.status = 409;
+  error.needsReconnect = true;
+  error.reason = company.salesforce_reconnect_reason;
+  return error;
+}
+
+// Also needsReconnect, so queued writes wait for an admin to connect the org again
+// instead of using up their attempts
+function notConnectedError() {
+  const error = new Error('No Salesforce connection found');
+  error.status = 409;
+  error.needsReconnect = true;
+  return error;
+}
+
+// When a token from the OAuth token endpoint stops working
+function tokenExpiry(tokenResponse) {
+  const issuedAt = Number(tokenResponse.issued_at) || Date.now();
+  return new Date(issuedAt + TOKEN_TTL);
+}
+
+const expiresSoon = company => !company.salesforce_token_expires_at
+  || new Date(company.salesforce_token_expires_at).getTime() - Date.now() < REFRESH_MARGIN;
+
+function connectionStatus(company) {
+  if (!company.salesforce_access_token) {
+    return { connected: false, needsReconnect: false };
+  }
+  if (company.salesforce_reconnect_required_at) {
+    return {
+      connected: false,
+      needsReconnect: true,
+      reason: company.salesforce_reconnect_reason,
+      since: company.salesforce_reconnect_required_at
+    };
+  }
+  return { connected: true, needsReconnect: false, expiresAt: company.salesforce_token_expires_at };
+}
+
+// Decide under a row lock whether this caller should refresh, and claim the refresh if
+// so. rejectedToken is the token a 401 was returned for; if someone else has replaced it
+// in the meantime, their token is used instead of refreshing again. Resolves with one of
+//   { token }               nothing to refresh
+//   { company, reconnect }  an admin has to reconnect the org
+//   { company, refresh }    this caller holds the claim and should refresh
+//   { wait }                another instance is refreshing right now
+async function decideRefresh(companyId, rejectedToken) {
+  return withTransaction(async client => {
+    const locked = await client.query('SELECT * FROM companies WHERE id = $1 FOR UPDATE', [companyId]);
+    const company = locked.rows[0];
+    if (!company.salesforce_access_token || company.salesforce_reconnect_required_at) {
+      return { company, reconnect: true };
+    }
+
+    const { access_token: current } = tokenHelpers.readTokens(company);
+    const replaced = rejectedToken ? current !== rejectedToken : false;
+    if (!expiresSoon(company) && (replaced || !rejectedToken)) {
+      return { token: current };
+    }
+
+    const claimed = await tokenHelpers.claimRefresh(company.id, REFRESH_CLAIM_TTL, client);
+    return claimed ? { company, refresh: true } : { wait: true };
+  });
+}
+
+// Call the token endpoint for a company whose refresh we have claimed. The row is not
+// locked meanwhile, so a slow Salesforce only holds up this company's refresh.
+async function requestNewToken(company) {
+  const { refresh_token: refreshToken } = tokenHelpers.readTokens(company);
+  logger.info('🔄 Refreshing Salesforce token for company:', company.public_id);
+  try {
+    const response = await axios.post(
+      `${company.salesforce_instance_url}/services/oauth2/token`,
+      null,
+      {
+        params: {
+          grant_type: 'refresh_token',
+          client_id: process.env.SALESFORCE_CLIENT_ID,
+          client_secret: process.env.SALESFORCE_CLIENT_SECRET,
+          refresh_token: refreshToken
+        },
+        timeout: TOKEN_REQUEST_TIMEOUT
+      }
+    );
+
+    const { access_token, refresh_token } = response.data;
+    await tokenHelpers.updateAccessToken(company.id, access_token, tokenExpiry(response.data), refresh_token);
+    tokenRefreshes.inc({ company: company.public_id, outcome: 'refreshed' });
+    logger.info('✅ Salesforce token refreshed for company:', company.public_id);
+    return access_token;
+  } catch (error) {
+    // The token endpoint answers 400 (invalid_grant, inactive_user, ...) once the refresh
+    // token stops working. Bad client credentials are our configuration, not the org's,
+    // and timeouts or 5xx are worth trying again later.
+    const data = error.response?.data || {};
+    if (error.response?.status !== 400 || /^invalid_client/.test(data.error || '')) {
+      tokenRefreshes.inc({ company: company.public_id, outcome: 'error' });
+      await tokenHelpers.releaseRefreshClaim(company.id);
+      throw error;
+    }
+
+    const reason = data.error_description || data.error || 'Refresh token rejected';
+    logger.error('❌ Salesforce refresh token rejected, reconnect required:', {
+      companyId: company.public_id,
+      ...describeError(error)
+    });
+    await tokenHelpers.markReconnectRequired(company.id, reason);
+    tokenRefreshes.inc({ company: company.public_id, outcome: 'reconnect_required' });
+
+    const rejected = { ...company, salesforce_reconnect_reason: reason };
+    await emitWebhookEvent(rejected, 'connection.reconnect_required', { adapter: 'salesforce', reason });
+    throw reconnectError(rejected);
+  }
+}
+
+// Refresh once across every instance: whoever claims the refresh calls Salesforce, and
+// the rest wait for the claim to clear and use the token it produced
+async function runRefresh(companyId, rejectedToken) {
+  const deadline = Date.now() + REFRESH_CLAIM_TTL;
+  for (;;) {
+    const outcome = await decideRefresh(companyId, rejectedToken);
+    if (outcome.token) return outcome.token;
+    if (outcome.reconnect) throw reconnectError(outcome.company);
+    if (outcome.refresh) return requestNewToken(outcome.company);
+
+    if (Date.now() >= deadline) {
+      throw new Error('Timed out waiting for another instance to refresh the Salesforce token');
+    }
+    await new Promise(resolve => setTimeout(resolve, REFRESH_WAIT_INTERVAL));
+  }
+}
+
+function refreshAccessToken(company, rejectedToken = null) {
+  if (!inflight.has(company.id)) {
+    inflight.set(company.id, runRefresh(company.id, rejectedToken).finally(() => inflight.delete(company.id)));
+  }
+  return inflight.get(company.id);
+}
+
+// A usable access token, refreshed first if it is about to expire
+async function getAccessToken(company) {
+  if (!company.salesforce_access_token) {
+    throw notConnectedError();
+  }
+  if (company.salesforce_reconnect_required_at) {
+    throw reconnectError(company);
+  }
+  if (expiresSoon(company)) {
+    return refreshAccessToken(company);
+  }
+  return tokenHelpers.readTokens(company).access_token;
+}
+
+// Refresh tokens nearing expiry in the background, so requests rarely wait on one
+async function refreshExpiringTokens() {
+  const result = await pool.query(
+    `SELECT * FROM companies
+     WHERE salesforce_access_token IS NOT NULL
+       AND salesforce_reconnect_required_at IS NULL
+       AND (salesforce_token_expires_at IS NULL OR salesforce_token_expires_at < NOW() + $1 * INTERVAL '1 millisecond')`,
+    [REFRESH_MARGIN + REFRESH_TOKEN_INTERVAL]
+  );
+
+  for (const company of result.rows) {
+    try {
+      await refreshAccessToken(company, tokenHelpers.readTokens(company).access_token);
+    } catch (error) {
+      if (!error.needsReconnect) {
+        logger.error('Token refresh failed for company:', company.public_id, describeError(error));
+      }
+    }
+  }
+  return result.rows.length;
+}
+
+function startTokenRefresher() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await track(refreshExpiringTokens());
+    } catch (error) {
+      logger.error('Token refresher error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, REFRESH_TOKEN_INTERVAL);
+}
+
+module.exports = {
+  notConnectedError,
+  tokenExpiry,
+  connectionStatus,
+  getAccessToken,
+  refreshAccessToken,
+  refreshExpiringTokens,
+  startTokenRefresher
+};
@@ -0,0 +1,375 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const { encryptToken, decryptToken } = require('./tokenCrypto');
+const { describeError } = require('./redact');
+const { hostProblem, assertPublicHost, publicAgent } = require('./publicHosts');
+const { logger } = require('./logger');
+const { track } = require('./lifecycle');
+
+// Events a subscription can ask for
+const WEBHOOK_EVENTS = [
+  'punch.clock_in',
+  'punch.clock_out',
+  'user.synced',
+  'sync.failed',
+  'connection.reconnect_required'
+];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const WEBHOOK_WORKER_INTERVAL = Number(process.env.WEBHOOK_WORKER_INTERVAL) || 5000;
+const WEBHOOK_TIMEOUT = Number(process.env.WEBHOOK_TIMEOUT) || 10 * 1000;
+const WEBHOOK_BATCH_SIZE = 20;
+const MAX_DELIVERY_ATTEMPTS = Number(process.env.MAX_WEBHOOK_ATTEMPTS) || 8;
+const RETRY_BASE_DELAY = 30 * 1000; // 30 seconds
+const RETRY_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+
+function webhookError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Receivers check Workpunch-Signature by computing the same HMAC over "<t>.<body>"
+// with their secret, and reject old timestamps to stop replays
+function signPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Check an admin's subscription settings. Fields left out keep their current value.
+function validateSubscription(input, current = {}) {
+  const { url, events, description, active } = input || {};
+  const subscription = {
+    url: current.url,
+    events: current.events,
+    description: current.description ?? null,
+    active: current.active ?? true
+  };
+
+  if (url !== undefined || !current.url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw webhookError(400, 'url must be an absolute URL');
+    }
+    if (parsed.protocol !== 'https:') {
+      throw webhookError(400, 'url must use https');
+    }
+    const problem = hostProblem(parsed);
+    if (problem) {
+      throw webhookError(400, `url ${problem}`);
+    }
+    subscription.url = parsed.toString();
+  }
+
+  if (events !== undefined || !current.events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw webhookError(400, `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw webhookError(400, `Unknown events: ${unknown.join(', ')}. Expected any of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    subscription.events = [...new Set(events)];
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      throw webhookError(400, 'description must be a string');
+    }
+    subscription.description = description;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw webhookError(400, 'active must be true or false');
+    }
+    subscription.active = active;
+  }
+
+  return subscription;
+}
+
+async function listSubscriptions(companyId) {
+  const result = await pool.query(
+    'SELECT * FROM webhook_subscriptions WHERE company_id = $1 ORDER BY id',
+    [companyId]
+  );
+  return result.rows;
+}
+
+async function getSubscription(companyId, id) {
+  const result = await pool.query(
+    'SELECT * FROM webhook_subscriptions WHERE company_id = $1 AND id = $2',
+    [companyId, id]
+  );
+  return result.rows[0] || null;
+}
+
+// Resolves with the subscription and its signing secret, which is only ever shown here
+// and when it is rotated
+async function createSubscription(companyId, actor, input) {
+  const { url, events, description, active } = validateSubscription(input);
+  const secret = generateSecret();
+  const result = await pool.query(
+    `INSERT INTO webhook_subscriptions (company_id, url, secret, events, description, active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [companyId, url, encryptToken(secret), events, description, active, actor.email]
+  );
+  return { subscription: result.rows[0], secret };
+}
+
+async function updateSubscription(companyId, id, input) {
+  const current = await getSubscription(companyId, id);
+  if (!current) return null;
+
+  const { url, events, description, active } = validateSubscription(input, current);
+  const result = await pool.query(
+    `UPDATE webhook_subscriptions
+     SET url = $3, events = $4, description = $5, active = $6, updated_at = NOW()
+     WHERE company_id = $1 AND id = $2
+     RETURNING *`,
+    [companyId, id, url, events, description, active]
+  );
+  return result.rows[0] || null;
+}
+
+async function rotateSubscriptionSecret(companyId, id) {
+  const secret = generateSecret();
+  const result = await pool.query(
+    `UPDATE webhook_subscriptions SET secret = $3, updated_at = NOW()
+     WHERE company_id = $1 AND id = $2
+     RETURNING *`,
+    [companyId, id, encryptToken(secret)]
+  );
+  return result.rows[0] ? { subscription: result.rows[0], secret } : null;
+}
+
+async function deleteSubscription(companyId, id) {
+  const result = await pool.query(
+    'DELETE FROM webhook_subscriptions WHERE company_id = $1 AND id = $2',
+    [companyId, id]
+  );
+  return result.rowCount > 0;
+}
+
+// Queue an event for every active subscription that wants it. Webhooks are a side
+// channel: a failure here is logged and never fails the caller.
+async function emitWebhookEvent(company, type, data) {
+  try {
+    const payload = {
+      id: uuidv4(),
+      type,
+      createdAt: new Date().toISOString(),
+      companyId: company.public_id,
+      data
+    };
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (company_id, subscription_id, event_id, event_type, payload)
+       SELECT company_id, id, $2, $3, $4
+       FROM webhook_subscriptions
+       WHERE company_id = $1 AND active AND $3 = ANY(events)`,
+      [company.id, payload.id, type, payload]
+    );
+    if (result.rowCount > 0) {
+      logger.info(`🪝 Queued ${type} for ${result.rowCount} webhook(s):`, company.public_id);
+    }
+    return result.rowCount;
+  } catch (error) {
+    logger.error(`Failed to queue ${type} webhook:`, describeError(error));
+    return 0;
+  }
+}
+
+// Lease a batch of due deliveries to active subscriptions
+async function claimPendingDeliveries(limit) {
+  const result = await pool.query(
+    `UPDATE webhook_deliveries SET locked_until = NOW() + INTERVAL '2 minutes'
+     WHERE id IN (
+       SELECT d.id FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.status = 'pending'
+         AND s.active
+         AND d.next_attempt_at <= NOW()
+         AND (d.locked_until IS NULL OR d.locked_until < NOW())
+       ORDER BY d.next_attempt_at
+       LIMIT $1
+       FOR UPDATE OF d SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+  return result.rows;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+async function deliver(delivery) {
+  const tag = `[Webhook ${delivery.id}]`;
+  const subscription = (await pool.query(
+    'SELECT * FROM webhook_subscriptions WHERE id = $1',
+    [delivery.subscription_id]
+  )).rows[0];
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+
+  try {
+    // Checked again on every delivery, and the agent checks what the name resolves to
+    assertPublicHost(subscription.url);
+    const response = await axios.post(subscription.url, body, {
+      timeout: WEBHOOK_TIMEOUT,
+      httpsAgent: publicAgent,
+      maxRedirects: 0,
+      // Every status is an answer; only 2xx counts as delivered
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Workpunch-Webhooks/1.0',
+        'Workpunch-Event': delivery.event_type,
+        'Workpunch-Delivery': String(delivery.id),
+        'Workpunch-Event-Id': delivery.event_id,
+        'Workpunch-Signature': signPayload(decryptToken(subscription.secret), timestamp, body)
+      }
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Endpoint answered ${response.status}`);
+    }
+
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = attempts + 1, response_status = $2, last_error = NULL,
+           delivered_at = NOW(), locked_until = NULL
+       WHERE id = $1`,
+      [delivery.id, responseStatus]
+    );
+    logger.info(`✅ ${tag} Delivered ${delivery.event_type}`);
+  } catch (error) {
+    const attempts = delivery.attempts + 1;
+    const giveUp = attempts >= MAX_DELIVERY_ATTEMPTS;
+
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = $3, response_status = $4, last_error = $5,
+           next_attempt_at = NOW() + $6 * INTERVAL '1 millisecond', locked_until = NULL
+       WHERE id = $1`,
+      [delivery.id, giveUp ? 'failed' : 'pending', attempts, responseStatus, error.message, retryDelay(attempts)]
+    );
+
+    if (giveUp) {
+      logger.error(`❌ ${tag} Giving up after ${attempts} attempt(s):`, error.message);
+    } else {
+      logger.warn(`🔁 ${tag} Attempt ${attempts} failed, retrying in ${retryDelay(attempts)}ms:`, error.message);
+    }
+  }
+}
+
+async function processPendingDeliveries() {
+  const deliveries = await claimPendingDeliveries(WEBHOOK_BATCH_SIZE);
+  for (const delivery of deliveries) {
+    await deliver(delivery);
+  }
+  return deliveries.length;
+}
+
+function startWebhookWorker() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await track(processPendingDeliveries());
+    } catch (error) {
+      logger.error('Webhook worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, WEBHOOK_WORKER_INTERVAL);
+}
+
+async function listDeliveries(companyId, subscriptionId, { status, limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM webhook_deliveries
+     WHERE company_id = $1 AND subscription_id = $2 AND ($3::text IS NULL OR status = $3)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $4`,
+    [companyId, subscriptionId, status || null, limit]
+  );
+  return result.rows;
+}
+
+// Send a delivery again as a new entry in the log. The payload and event ID are the
+// same, so receivers that dedupe on the event ID see it as a repeat.
+async function redeliver(companyId, id) {
+  const result = await pool.query(
+    `INSERT INTO webhook_deliveries (company_id, subscription_id, event_id, event_type, payload, redelivery_of)
+     SELECT company_id, subscription_id, event_id, event_type, payload, id
+     FROM webhook_deliveries
+     WHERE company_id = $1 AND id = $2
+     RETURNING *`,
+    [companyId, id]
+  );
+  return result.rows[0] || null;
+}
+
+function serializeSubscription(subscription) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    description: subscription.description,
+    active: subscription.active,
+    createdBy: subscription.created_by,
+    createdAt: subscription.created_at,
+    updatedAt: subscription.updated_at
+  };
+}
+
+function serializeDelivery(delivery) {
+  return {
+    id: delivery.id,
+    subscriptionId: delivery.subscription_id,
+    eventId: delivery.event_id,
+    eventType: delivery.event_type,
+    payload: delivery.payload,
+    redeliveryOf: delivery.redelivery_of,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    responseStatus: delivery.response_status,
+    lastError: delivery.last_error,
+    createdAt: delivery.created_at,
+    deliveredAt: delivery.delivered_at
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  signPayload,
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  rotateSubscriptionSecret,
+  deleteSubscription,
+  emitWebhookEvent,
+  processPendingDeliveries,
+  startWebhookWorker,
+  listDeliveries,
+  redeliver,
+  serializeSubscription,
+  serializeDelivery
+};